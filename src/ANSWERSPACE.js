@@ -2,18 +2,21 @@ import { SceneManager } from './rendering/SceneManager.js';
 import { ParticleSystem } from './rendering/ParticleSystem.js';
 import { MemoryChamber } from './rendering/MemoryChamber.js';
 import { TextArchitecture } from './rendering/TextArchitecture.js';
-import { ContextWindow } from './memory/ContextWindow.js';
-import { ConsistencyTracker } from './memory/ConsistencyTracker.js';
-import { PersistentMemory } from './memory/PersistentMemory.js';
-import { QuestionEngine } from './questions/QuestionEngine.js';
+import { Atmosphere } from './rendering/Atmosphere.js';
+import { SpatialAnomaly } from './rendering/SpatialAnomaly.js';
 import { RealityEngine } from './reality/RealityEngine.js';
-import { AlignmentTracker } from './reality/AlignmentTracker.js';
-import { StateTerritory } from './reality/StateTerritory.js';
+import { EndingSequence } from './reality/EndingSequence.js';
 import { GenerativeAudio } from './audio/GenerativeAudio.js';
 import { UIManager } from './ui/UIManager.js';
+import { PrivacyPanel } from './ui/PrivacyPanel.js';
+import { AnswerspaceCore } from './core/AnswerspaceCore.js';
+import { EVENTS } from './core/EventBus.js';
+import { validateRecording } from './core/SessionRecorder.js';
+import { TRANSCRIPT_FORMATS } from './core/Transcript.js';
 
 export class ANSWERSPACE {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
     this.isRunning = false;
     this.silenceTimer = null;
     this.silenceThreshold = 30000; // 30 seconds
@@ -26,50 +29,84 @@ export class ANSWERSPACE {
       throw new Error('WebGL container not found');
     }
 
+    // The question/response/territory loop runs headless underneath
+    this.core = new AnswerspaceCore(this.options);
+    this.bus = this.core.bus;
+
+    // The world draws from the same seed as the questions
+    const random = this.core.random;
+
     // Initialize core systems
     this.sceneManager = new SceneManager(container);
-    this.particleSystem = new ParticleSystem(this.sceneManager);
-    this.memoryChamber = new MemoryChamber(this.sceneManager);
-    this.textArchitecture = new TextArchitecture(this.sceneManager);
-
-    // Initialize memory and tracking
-    this.contextWindow = new ContextWindow();
-    this.consistencyTracker = new ConsistencyTracker(this.contextWindow);
-    this.alignmentTracker = new AlignmentTracker();
-    this.stateTerritory = new StateTerritory();
-    this.persistentMemory = new PersistentMemory();
-
-    // Initialize question engine
-    this.questionEngine = new QuestionEngine(
-      this.contextWindow,
-      this.consistencyTracker
-    );
+    this.particleSystem = new ParticleSystem(this.sceneManager, {
+      random: random.fork('particles')
+    });
+    this.memoryChamber = new MemoryChamber(this.sceneManager, this.core.contextWindow, {
+      random: random.fork('chambers')
+    });
+    this.textArchitecture = new TextArchitecture(this.sceneManager, {
+      random: random.fork('architecture'),
+      locale: this.core.locale
+    });
+    this.atmosphere = new Atmosphere(this.sceneManager);
+    this.spatialAnomaly = new SpatialAnomaly(this.sceneManager, this.textArchitecture);
 
     // Initialize reality engine with new systems
     this.realityEngine = new RealityEngine(
       this.particleSystem,
       this.memoryChamber,
-      this.sceneManager
+      this.sceneManager,
+      this.atmosphere
     );
 
     // Initialize audio (will be started on first interaction)
-    this.audio = new GenerativeAudio();
+    this.audio = new GenerativeAudio({ random: random.fork('audio') });
 
     // Initialize UI
-    this.ui = new UIManager();
+    this.ui = new UIManager({ random: random.fork('ui'), locale: this.core.locale });
+    this.privacyPanel = new PrivacyPanel(this.core.privacy, { locale: this.core.locale });
     this.setupInputHandler();
 
+    this.connectSubsystems();
+
+    // Initialize ending orchestration
+    this.endingSequence = new EndingSequence({
+      realityEngine: this.realityEngine,
+      audio: this.audio,
+      ui: this.ui,
+      endings: this.core.questionPack.endings
+    });
+
     console.log('ANSWERSPACE initialized');
-    console.log(`Session ${this.persistentMemory.getSessionCount()}`);
+    console.log(`Session ${this.core.persistentMemory.getSessionCount()} (seed ${random.seed})`);
 
     // Show persistent memory prompt if active
-    if (this.persistentMemory.isMemoryActive()) {
+    if (this.core.persistentMemory.isMemoryActive()) {
       console.log('Persistent memory active');
     }
   }
 
+  connectSubsystems() {
+    // Presentation only listens - the core has already wired the analysis
+    this.textArchitecture.connect(this.bus);
+    this.realityEngine.connect(this.bus);
+    this.audio.connect(this.bus);
+    this.spatialAnomaly.connect(this.bus);
+    this.ui.connect(this.bus);
+
+    this.bus.on(EVENTS.TERRITORY_CHANGED, ({ state }) => this.updateOverlay(state));
+  }
+
   setupInputHandler() {
-    this.ui.onInput((text) => this.handleResponse(text));
+    this.ui.onInput((text, meta) => this.handleResponse(text, meta));
+    // Typing is an interaction too, so the first keystroke can start the sound
+    this.ui.onKeystroke(async (keystroke) => {
+      await this.startAudio();
+      this.audio.onKeystroke(keystroke);
+    });
+    this.ui.onShortcut('s', () => this.downloadRecording());
+    this.ui.onShortcut('e', () => this.downloadTranscript('html'));
+    this.ui.onShortcut('m', () => this.privacyPanel.toggle());
   }
 
   async start() {
@@ -79,17 +116,15 @@ export class ANSWERSPACE {
     this.animate();
 
     // Show persistent memory prompt if returning player (late-game)
-    if (this.persistentMemory.isMemoryActive()) {
-      const memoryPrompt = this.persistentMemory.getMemoryPrompt();
-      if (memoryPrompt) {
-        await this.delay(1500);
-        await this.ui.showQuestion({
-          id: 'memory_prompt',
-          text: memoryPrompt,
-          silent: true
-        });
-        await this.delay(3000);
-      }
+    const memoryPrompt = this.core.getMemoryPrompt();
+    if (memoryPrompt) {
+      await this.delay(1500);
+      await this.ui.showQuestion({
+        id: 'memory_prompt',
+        text: memoryPrompt,
+        silent: true
+      });
+      await this.delay(3000);
     }
 
     // Show first question after brief pause
@@ -106,124 +141,97 @@ export class ANSWERSPACE {
     requestAnimationFrame(() => this.animate());
 
     const time = this.sceneManager.getElapsedTime();
-    const globalDecay = this.contextWindow.getGlobalDecay();
+    const globalDecay = this.core.contextWindow.getGlobalDecay();
 
     // Update reality engine (handles all visual updates)
     this.realityEngine.update(time, globalDecay);
 
-    // Update text architecture
+    // Update text architecture and the impossible geometry between it
     this.textArchitecture.update(time);
+    this.spatialAnomaly.update(time);
 
-    // Update audio silence detection
-    this.audio.updateSilence();
+    // Update audio: silence detection, territory grains
+    this.audio.update();
 
     // Render scene
     this.sceneManager.render();
   }
 
   async showNextQuestion() {
-    const question = this.questionEngine.getNextQuestion();
+    // A replaced or disposed instance stays quiet
+    if (!this.isRunning) return;
 
-    await this.ui.showQuestion(question);
+    await this.core.prepareQuestion();
+    if (!this.isRunning) return;
 
-    // Update reveal level in UI
-    this.ui.setRevealLevel(this.questionEngine.getRevealLevel());
+    const question = this.core.nextQuestion();
+    if (!question) return;
+
+    await this.ui.showQuestion(question);
+    this.core.questionShown(question);
 
     // Reset silence timer
     this.resetSilenceTimer();
   }
 
-  async handleResponse(text) {
-    // Initialize audio on first interaction
-    if (!this.audio.isPlaying) {
-      await this.audio.init();
-      this.audio.start();
-    }
-
-    const responseData = { text, timestamp: Date.now() };
-
-    // Process through memory system
-    const memoryEntry = this.contextWindow.addResponse(responseData);
-    this.contextWindow.updateDecay();
+  async handleResponse(text, { typing = [] } = {}) {
+    // Nothing more is heard once an ending has begun
+    if (this.core.ending) return;
 
-    // Check consistency
-    const contradictions = this.consistencyTracker.checkResponse(responseData);
-
-    // Update alignment
-    this.alignmentTracker.analyzeResponse(responseData);
-
-    // Update state territory (replaces linear progression)
-    const territoryState = this.stateTerritory.processResponse(responseData, {
-      ...memoryEntry?.metadata,
-      contradictionLevel: this.consistencyTracker.getContradictionLevel()
-    });
-
-    // Record in question engine
-    this.questionEngine.recordResponse(responseData);
-
-    // Create text architecture from response (words become space)
-    this.textArchitecture.createStructure(text, memoryEntry?.metadata);
-
-    // Handle contradictions with impossible geometry
-    if (contradictions.length > 0) {
-      const lastContradiction = contradictions[contradictions.length - 1];
-      // Could add Escher-like structures here
+    // "What do you remember about me?" is answered, not analyzed
+    if (this.core.privacy.isMemoryRequest(text)) {
+      this.ui.clearResponse();
+      this.privacyPanel.open();
+      return;
     }
 
-    // Record in persistent memory for cross-session continuity
-    this.persistentMemory.recordResponse(responseData, {
-      territory: territoryState.territory
-    });
-
-    // Check for critical moments
-    if (this.questionEngine.lastQuestion?.critical) {
-      this.persistentMemory.recordCriticalMoment(
-        this.questionEngine.lastQuestion.id,
-        text
-      );
-    }
+    await this.startAudio();
 
-    // Update reality based on response AND territory state
-    this.realityEngine.processResponse(responseData, memoryEntry);
-    this.realityEngine.setContradictionLevel(
-      this.consistencyTracker.getContradictionLevel()
-    );
-    this.realityEngine.setRevealLevel(this.questionEngine.getRevealLevel());
+    // Every subsystem reacts through the bus
+    const result = this.core.submitResponse(text, { typing });
+    if (!result) return;
 
-    // Use territory-based stability instead of pure alignment
-    // Beauty trap: high beauty score = stable visuals, but low freedom
-    const visualStability = territoryState.beautyScore;
-    this.realityEngine.setAlignmentStability(visualStability);
+    // Generated questions start on the answer while the space reacts to it
+    this.core.prepareQuestion();
 
-    // Audio feedback
-    this.audio.onResponse(responseData, memoryEntry?.metadata);
-    if (contradictions.length > 0) {
-      this.audio.onContradiction(this.consistencyTracker.getContradictionLevel());
+    this.ui.clearResponse();
+    if (result.ending) {
+      await this.playEnding(result.ending);
+      return;
     }
 
-    // Update system overlay with territory info
-    this.updateOverlay(territoryState);
-
-    // No terminal conditions in traditional sense - just territory states
-    // Player can always continue exploring
-    this.ui.clearResponse();
     await this.delay(1500);
     await this.showNextQuestion();
   }
 
+  // Audio starts on the first interaction (browsers allow nothing sooner)
+  async startAudio() {
+    if (this.audio.isPlaying) return;
+    this.audioStarting ??= this.audio.init().then(() => this.audio.start());
+    await this.audioStarting;
+  }
+
+  async playEnding(ending) {
+    if (this.silenceTimer) clearTimeout(this.silenceTimer);
+    await this.endingSequence.play(ending);
+  }
+
   updateOverlay(territoryState = null) {
-    const territory = territoryState || this.stateTerritory.getState();
+    const state = this.core.getState();
+    const territory = territoryState || state.territory;
 
     this.ui.updateSystemOverlay({
-      tokens: this.contextWindow.totalTokens,
-      contextUsage: this.contextWindow.getContextUsage(),
+      tokens: state.tokens,
+      contextUsage: state.contextUsage,
       debug: {
-        phase: this.questionEngine.getCurrentPhase(),
+        phase: state.phase,
         territory: territory.territory,
-        beauty: territory.beautyScore?.toFixed(2),
-        freedom: territory.freedomScore?.toFixed(2),
-        trapped: territory.isTrapped ? 'YES' : 'no',
-        contradictionLevel: this.consistencyTracker.getContradictionLevel()
+        beauty: territory.beautyScore,
+        freedom: territory.freedomScore,
+        trapped: territory.isTrapped,
+        contradictionLevel: state.contradictionLevel,
+        crossSessionLevel: state.crossSessionLevel,
+        explanation: this.core.explain()
       }
     });
   }
@@ -240,31 +248,135 @@ export class ANSWERSPACE {
     }, this.silenceThreshold);
   }
 
-  handleSilence() {
-    this.questionEngine.recordSilence();
-    this.stateTerritory.recordSilence();
+  async handleSilence() {
+    // Whatever was typed and left unsent is an abandoned draft
+    const result = this.core.recordSilence(this.silenceThreshold, { typing: this.ui.getTyping() });
+    if (!result) return;
 
-    // Silence is just another territory, not a terminal state
-    // Show silence response and continue
+    // Enough silence is an ending; otherwise it is just another territory
+    if (result.ending) {
+      await this.playEnding(result.ending);
+      return;
+    }
     this.showNextQuestion();
   }
 
+  downloadRecording() {
+    const recording = this.core.getRecording();
+    this.ui.download(
+      `answerspace-${recording.seed}-${recording.startedAt}.json`,
+      JSON.stringify(recording, null, 2)
+    );
+  }
+
+  downloadTranscript(format = 'html') {
+    const { extension, type } = TRANSCRIPT_FORMATS[format] ?? TRANSCRIPT_FORMATS.json;
+    this.ui.download(
+      `answerspace-transcript-${this.core.random.seed}.${extension}`,
+      this.core.exportTranscript(format),
+      type
+    );
+  }
+
+  /**
+   * Play a recorded session back through a fresh core.
+   * Build this instance with createReplayOptions(recording) so the seed,
+   * memory and manual clock match; each event is then re-enacted at its
+   * recorded time, `speed` times faster.
+   */
+  async replay(recording, { speed = 1 } = {}) {
+    validateRecording(recording);
+
+    const clock = this.core.clock;
+    const startedAt = recording.startedAt;
+    const realStart = performance.now();
+    const waitUntil = (t) => this.delay((realStart + t / speed) - performance.now());
+
+    this.isReplaying = true;
+    this.isRunning = true;
+    this.ui.setReplayMode(speed);
+    this.animate();
+
+    // The drop that started the replay counts as an interaction
+    await this.startAudio();
+
+    for (const event of recording.events) {
+      if (!this.isReplaying) break;
+
+      switch (event.type) {
+        case 'question': {
+          const question = this.core.nextQuestion();
+          if (!question) break;
+          if (question.id !== event.id) {
+            console.warn(`Replay diverged: expected question ${event.id}, got ${question.id}`);
+          }
+
+          await this.ui.showQuestion(question);
+          await waitUntil(event.t);
+          clock.set(startedAt + event.t);
+          this.core.questionShown(question);
+          break;
+        }
+
+        case 'response': {
+          // Start typing early enough to finish on the recorded submit time
+          const typingTime = event.typing.at(-1)?.t ?? 0;
+          await waitUntil(event.t - typingTime);
+          await this.ui.playTyping(event.text, event.typing);
+
+          await waitUntil(event.t);
+          clock.set(startedAt + event.t);
+          const result = this.core.submitResponse(event.text, { typing: event.typing });
+
+          this.ui.clearResponse();
+          if (result?.ending) await this.playEnding(result.ending);
+          break;
+        }
+
+        case 'silence': {
+          await waitUntil(event.t);
+          clock.set(startedAt + event.t);
+          const result = this.core.recordSilence(event.duration, { typing: event.typing });
+          if (result?.ending) await this.playEnding(result.ending);
+          break;
+        }
+
+        case 'state': {
+          const territory = this.core.stateTerritory.getState().territory;
+          if (territory !== event.state.territory.territory) {
+            console.warn(`Replay diverged at ${event.t}ms: territory ${territory}, recorded ${event.state.territory.territory}`);
+          }
+          break;
+        }
+      }
+    }
+
+    this.isReplaying = false;
+  }
+
   delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+  }
+
+  saveMemory() {
+    return this.core?.saveMemory();
   }
 
   dispose() {
+    this.isReplaying = false;
     this.isRunning = false;
     if (this.silenceTimer) clearTimeout(this.silenceTimer);
 
     // Save persistent memory for next session
-    this.persistentMemory.endSession();
+    this.core?.endSession();
 
+    this.spatialAnomaly?.dispose();
     this.textArchitecture?.dispose();
     this.realityEngine?.dispose();
     this.audio?.dispose();
     this.sceneManager?.dispose();
+    this.privacyPanel?.dispose();
     this.ui?.dispose();
+    this.core?.dispose();
   }
 }
-
@@ -1,14 +1,57 @@
-import audioConfig from '../config/audio-mapping.json';
+import audioConfig from '../config/audio-mapping.json' with { type: 'json' };
+import { EVENTS } from '../core/EventBus.js';
+import { createRandom } from '../core/random.js';
+import { SoundEvents } from './SoundEvents.js';
+import { TerritorySoundscape } from './TerritorySoundscape.js';
 
 export class GenerativeAudio {
-  constructor() {
+  constructor({ random = createRandom() } = {}) {
     this.config = audioConfig;
+    this.random = random;
     this.audioContext = null;
     this.masterGain = null;
     this.oscillators = [];
     this.isInitialized = false;
     this.isPlaying = false;
     this.lastResponseTime = Date.now();
+    this.endingType = null;
+
+    // What keystrokes are tuned to and coloured by
+    this.fundamental = this.config.ambient.baseFrequency;
+    this.territory = 'CENTER';
+    this.lastKeystrokeAt = -Infinity;
+    this.keystrokeVoices = 0;
+
+    this.soundEvents = null;
+    this.soundscape = null;
+    this.revealLevel = 0;
+  }
+
+  connect(bus) {
+    bus.on(EVENTS.MEMORY_ADDED, ({ response, entry }) => {
+      this.onResponse(response, entry?.metadata);
+    });
+
+    bus.on(EVENTS.CONSISTENCY_CHECKED, ({ contradictions, level }) => {
+      if (contradictions.length > 0) this.onContradiction(level);
+    });
+
+    bus.on(EVENTS.QUESTION_SHOWN, ({ revealLevel }) => {
+      this.playEvent('questionAppear');
+
+      // The space shows more of itself
+      if (revealLevel > this.revealLevel) {
+        this.playEvent('revelation', { frequency: this.fundamental * 4 });
+      }
+      this.revealLevel = revealLevel;
+    });
+
+    bus.on(EVENTS.MEMORY_EVICTED, () => this.playEvent('memoryFade'));
+
+    bus.on(EVENTS.TERRITORY_CHANGED, ({ state }) => {
+      this.territory = state.territory;
+      this.onTerritory(state.position);
+    });
   }
 
   async init() {
@@ -16,7 +59,29 @@ export class GenerativeAudio {
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
       this.masterGain = this.audioContext.createGain();
       this.masterGain.gain.value = 0;
-      this.masterGain.connect(this.audioContext.destination);
+
+      // Everything passes one lowpass, so a sound event can muffle the whole space
+      this.masterFilter = this.audioContext.createBiquadFilter();
+      this.masterFilter.type = 'lowpass';
+      this.masterFilter.frequency.value = 20000;
+      this.masterGain.connect(this.masterFilter);
+      this.masterFilter.connect(this.audioContext.destination);
+
+      // The drone on its own gain, so territory layers can take its place
+      this.droneBus = this.audioContext.createGain();
+      this.droneBus.connect(this.masterGain);
+
+      this.soundscape = new TerritorySoundscape(this.audioContext, {
+        destination: this.masterGain,
+        fundamental: this.fundamental,
+        random: this.random.fork('territories')
+      });
+
+      this.soundEvents = new SoundEvents(this.audioContext, {
+        destination: this.masterGain,
+        masterFilter: this.masterFilter,
+        random: this.random.fork('events')
+      });
       this.isInitialized = true;
       
       // Create ambient drone
@@ -44,7 +109,7 @@ export class GenerativeAudio {
       gain.gain.value = 0.1 / harmonic;
       
       osc.connect(gain);
-      gain.connect(this.masterGain);
+      gain.connect(this.droneBus);
       
       this.oscillators.push({ osc, gain, harmonic });
     }
@@ -61,6 +126,7 @@ export class GenerativeAudio {
     for (const { osc } of this.oscillators) {
       osc.start();
     }
+    this.soundscape.start();
 
     // Fade in
     this.masterGain.gain.linearRampToValueAtTime(
@@ -93,65 +159,141 @@ export class GenerativeAudio {
 
     // Adjust frequencies based on sentiment
     const freqOffset = sentiment * this.config.responseMapping.emotionToFrequency.positive;
+    this.fundamental = this.config.ambient.baseFrequency + freqOffset;
     for (const { osc, harmonic } of this.oscillators) {
-      const newFreq = (this.config.ambient.baseFrequency + freqOffset) * harmonic;
+      const newFreq = this.fundamental * harmonic;
       osc.frequency.linearRampToValueAtTime(
         newFreq,
         this.audioContext.currentTime + 1
       );
     }
+    this.soundscape.setFundamental(this.fundamental);
 
-    // Create response texture sound
-    this.playResponseTexture(certainty);
+    // Surer answers sound higher
+    this.playEvent('responseSubmit', { frequency: 200 + certainty * 100 });
   }
 
-  playResponseTexture(certainty) {
-    if (!this.isInitialized) return;
+  // Territory layers follow the player's position; the further out, the less drone
+  onTerritory(position) {
+    if (!this.isInitialized || this.endingType) return;
+
+    const weights = this.soundscape.setPosition(position);
+    const loudest = Math.max(0, ...Object.values(weights));
+    const { crossfade, droneDuck } = this.config.territories;
+    this.droneBus.gain.linearRampToValueAtTime(
+      1 - droneDuck * loudest,
+      this.audioContext.currentTime + crossfade / 1000
+    );
+  }
+
+  // A sound event from config/audio-mapping.json (see SoundEvents.js)
+  playEvent(name, defaults) {
+    if (!this.isPlaying || this.endingType) return;
+    this.soundEvents.play(name, defaults);
+  }
+
+  /**
+   * One keystroke in the response input, sounded on a harmonic of the
+   * drone. Insertions take the current territory's timbre; deletions
+   * are lower, filtered, and fall away. Keystrokes closer together
+   * than `minInterval`, or past `maxVoices` still sounding, are let go.
+   */
+  onKeystroke({ deleted = false } = {}) {
+    const config = this.config.typing;
+    if (!this.isPlaying || !config.enabled || this.endingType) return;
+
+    const now = this.audioContext.currentTime;
+    if (now - this.lastKeystrokeAt < config.minInterval / 1000 || this.keystrokeVoices >= config.maxVoices) return;
+    this.lastKeystrokeAt = now;
+
+    const voice = deleted ? config.deletion : (config.territories[this.territory] ?? config.territories.CENTER);
+    const vary = (amount) => 1 + (this.random.next() - 0.5) * 2 * amount * config.randomization;
+    const frequency = this.fundamental * this.random.pick(voice.harmonics) * vary(0.02);
 
     const osc = this.audioContext.createOscillator();
+    const filter = this.audioContext.createBiquadFilter();
     const gain = this.audioContext.createGain();
-    
-    osc.type = 'triangle';
-    osc.frequency.value = 200 + certainty * 100;
-    
-    gain.gain.value = 0.02;
-    gain.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + 1.5);
-    
-    osc.connect(gain);
+
+    osc.type = voice.type;
+    osc.frequency.setValueAtTime(frequency, now);
+    if (voice.glide) osc.frequency.exponentialRampToValueAtTime(frequency * voice.glide, now + voice.decay);
+
+    filter.type = 'lowpass';
+    filter.frequency.value = voice.filter;
+
+    // A short attack, then an exponential fall (which can't reach zero)
+    gain.gain.setValueAtTime(0.0001, now);
+    gain.gain.exponentialRampToValueAtTime(config.volume * vary(1), now + 0.005);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + voice.decay);
+
+    osc.connect(filter);
+    filter.connect(gain);
     gain.connect(this.masterGain);
-    
-    osc.start();
-    osc.stop(this.audioContext.currentTime + 1.5);
+
+    this.keystrokeVoices++;
+    osc.onended = () => {
+      this.keystrokeVoices--;
+      gain.disconnect();
+    };
+    osc.start(now);
+    osc.stop(now + voice.decay + 0.02);
   }
 
   onContradiction(level) {
-    if (!this.isInitialized || level < 0.3) return;
+    // Louder the more the player has contradicted themselves
+    if (level >= 0.3) this.playEvent('contradiction', { level });
+  }
 
-    // Create dissonant texture
-    const osc1 = this.audioContext.createOscillator();
-    const osc2 = this.audioContext.createOscillator();
-    const gain = this.audioContext.createGain();
-    
-    osc1.type = 'sawtooth';
-    osc2.type = 'sawtooth';
-    osc1.frequency.value = 110;
-    osc2.frequency.value = 117; // Slight detuning for beating
-    
-    gain.gain.value = 0.02 * level;
-    gain.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + 2);
-    
-    osc1.connect(gain);
-    osc2.connect(gain);
-    gain.connect(this.masterGain);
-    
-    osc1.start();
-    osc2.start();
-    osc1.stop(this.audioContext.currentTime + 2);
-    osc2.stop(this.audioContext.currentTime + 2);
+  onEnding(endingType) {
+    if (!this.isInitialized) return;
+
+    const now = this.audioContext.currentTime;
+
+    // Endings are the drone's alone
+    this.soundscape.fadeOut(4);
+    this.droneBus.gain.linearRampToValueAtTime(1, now + 4);
+
+    switch (endingType) {
+      case 'alignment_lock':
+        // Drone resolves to a single pure fundamental
+        for (const { osc, gain, harmonic } of this.oscillators) {
+          osc.frequency.linearRampToValueAtTime(this.config.ambient.baseFrequency * harmonic, now + 4);
+          gain.gain.linearRampToValueAtTime(harmonic === 1 ? 0.1 : 0, now + 6);
+        }
+        break;
+
+      case 'creative_divergence':
+        // Harmonics drift apart from each other
+        for (const { osc, harmonic } of this.oscillators) {
+          const drift = 1 + (this.random.next() - 0.5) * 0.15;
+          osc.frequency.linearRampToValueAtTime(this.config.ambient.baseFrequency * harmonic * drift, now + 8);
+        }
+        this.masterGain.gain.linearRampToValueAtTime(this.config.ambient.baseVolume * 1.3, now + 3);
+        break;
+
+      case 'refusal':
+        // Abrupt cut to the floor
+        this.masterGain.gain.cancelScheduledValues(now);
+        this.masterGain.gain.setValueAtTime(this.config.silence.ambientFloor, now + 0.05);
+        break;
+
+      case 'silence':
+        this.masterGain.gain.linearRampToValueAtTime(0, now + 20);
+        break;
+    }
+
+    this.endingType = endingType;
+  }
+
+  // Every frame
+  update() {
+    this.updateSilence();
+    if (this.isPlaying && !this.endingType) this.soundscape.update();
   }
 
   updateSilence() {
-    if (!this.isInitialized) return;
+    // Endings own the master gain once they begin
+    if (!this.isInitialized || this.endingType) return;
 
     const silenceDuration = Date.now() - this.lastResponseTime;
     const config = this.config.silence;
@@ -171,6 +313,7 @@ export class GenerativeAudio {
     for (const { osc } of this.oscillators) {
       try { osc.stop(); } catch (e) { /* ignore */ }
     }
+    this.soundscape.stop();
     
     this.audioContext.close();
     this.isInitialized = false;
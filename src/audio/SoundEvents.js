@@ -0,0 +1,115 @@
+import audioConfig from '../config/audio-mapping.json' with { type: 'json' };
+import { createRandom } from '../core/random.js';
+
+/**
+ * SoundEvents - The `events` of config/audio-mapping.json, made sound
+ *
+ * Each event names a type; the rest of its definition are that type's
+ * parameters (durations in ms, frequencies in Hz):
+ *
+ *   tone        frequency, duration, volume, [waveform]
+ *               one voice that swells in and fades
+ *   texture     intensity, duration, [frequency, voices, spread, waveform]
+ *               a cluster of detuned voices, `spread` cents apart
+ *   filter      lowpass, duration
+ *               sweeps the whole mix down to `lowpass` and back open
+ *   dissonance  intensity, duration, [frequency, beat, waveform]
+ *               two voices `beat` Hz apart, beating against each other
+ *   harmonic    harmonics, duration, [frequency, volume, waveform]
+ *               a chord of ratios over `frequency` that swells and fades
+ *
+ * play(name, defaults) fills in what the definition leaves out (the
+ * caller's frequency, say, so an event can follow the drone) and
+ * `level` scales its loudness. The config always has the last word.
+ */
+
+// Gain at intensity 1, so `intensity` reads as a share of a full-voiced event
+const INTENSITY_GAIN = 0.05;
+const OPEN_FILTER = 20000;
+const TYPES = new Set(['tone', 'texture', 'filter', 'dissonance', 'harmonic']);
+
+export class SoundEvents {
+  constructor(audioContext, { destination, masterFilter = null, random = createRandom(), events = audioConfig.events } = {}) {
+    this.audioContext = audioContext;
+    this.destination = destination;
+    this.masterFilter = masterFilter;
+    this.random = random;
+    this.events = events;
+
+    for (const [name, { type }] of Object.entries(events)) {
+      if (!TYPES.has(type)) console.warn(`Sound event "${name}" has unknown type "${type}"`);
+    }
+  }
+
+  play(name, { level = 1, ...defaults } = {}) {
+    const definition = this.events[name];
+    if (!definition || !TYPES.has(definition.type)) return;
+
+    const event = { ...defaults, ...definition };
+    this[event.type](event, level, this.audioContext.currentTime);
+  }
+
+  tone({ frequency, duration, volume, waveform = 'sine' }, level, now) {
+    const seconds = duration / 1000;
+    const gain = this.envelope(volume * level, now, seconds, Math.min(0.2, seconds / 4));
+    this.voice(waveform, frequency, gain, now, seconds);
+  }
+
+  texture({ intensity, duration, frequency = 200, voices = 3, spread = 12, waveform = 'triangle' }, level, now) {
+    const seconds = duration / 1000;
+    const gain = this.envelope(intensity * INTENSITY_GAIN * level / voices, now, seconds, 0.01);
+    for (let i = 0; i < voices; i++) {
+      const cents = (i - (voices - 1) / 2) * spread + (this.random.next() - 0.5) * spread;
+      this.voice(waveform, frequency * 2 ** (cents / 1200), gain, now, seconds);
+    }
+  }
+
+  filter({ lowpass, duration }, level, now) {
+    if (!this.masterFilter) return;
+
+    const seconds = duration / 1000;
+    const cutoff = this.masterFilter.frequency;
+    cutoff.cancelScheduledValues(now);
+    cutoff.setValueAtTime(cutoff.value, now);
+    cutoff.exponentialRampToValueAtTime(lowpass, now + seconds / 3);
+    cutoff.exponentialRampToValueAtTime(OPEN_FILTER, now + seconds);
+  }
+
+  dissonance({ intensity, duration, frequency = 110, beat = 7, waveform = 'sawtooth' }, level, now) {
+    const seconds = duration / 1000;
+    const gain = this.envelope(intensity * INTENSITY_GAIN * level, now, seconds, 0.01);
+    this.voice(waveform, frequency, gain, now, seconds);
+    this.voice(waveform, frequency + beat, gain, now, seconds);
+  }
+
+  harmonic({ harmonics, duration, frequency, volume = 0.03, waveform = 'sine' }, level, now) {
+    const seconds = duration / 1000;
+    const gain = this.envelope(volume * level / harmonics.length, now, seconds, seconds / 2);
+    for (const ratio of harmonics) {
+      this.voice(waveform, frequency * ratio, gain, now, seconds);
+    }
+  }
+
+  // A gain that rises to `peak` over `attack` seconds and falls to nothing by the end
+  envelope(peak, now, seconds, attack) {
+    const gain = this.audioContext.createGain();
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(peak, now + attack);
+    gain.gain.linearRampToValueAtTime(0, now + seconds);
+    gain.connect(this.destination);
+    return gain;
+  }
+
+  voice(waveform, frequency, gain, now, seconds) {
+    const osc = this.audioContext.createOscillator();
+    osc.type = waveform;
+    osc.frequency.value = frequency;
+    osc.connect(gain);
+    osc.onended = () => {
+      osc.disconnect();
+      gain.disconnect();
+    };
+    osc.start(now);
+    osc.stop(now + seconds);
+  }
+}
@@ -0,0 +1,216 @@
+import audioConfig from '../config/audio-mapping.json' with { type: 'json' };
+import { createRandom } from '../core/random.js';
+
+/**
+ * TerritorySoundscape - Each territory's own layer under the drone
+ *
+ * A layer per territory (config/audio-mapping.json `territories`),
+ * each as loud as the player is far along its axis of StateTerritory's
+ * position: SILENCE down presence, REFUSAL and COMPLIANCE either way
+ * along compliance, DISSOLUTION and RIGIDITY along coherence. Layers
+ * crossfade as the position moves, so in-between places sound
+ * in-between.
+ *
+ * A layer is sustained voices (ratios of the drone's fundamental,
+ * optionally with tremolo, vibrato and drive) or grains scattered in
+ * time. The hidden authenticity axis colours them all: a performed
+ * answer closes the filter and lets the voices drift out of tune.
+ */
+
+const NEUTRAL = { compliance: 0, presence: 0, coherence: 0, authenticity: 0 };
+
+export class TerritorySoundscape {
+  constructor(audioContext, { destination, fundamental, random = createRandom(), config = audioConfig.territories } = {}) {
+    this.audioContext = audioContext;
+    this.config = config;
+    this.random = random;
+    this.fundamental = fundamental;
+    this.position = { ...NEUTRAL };
+    this.weights = {};
+    this.nextGrainAt = 0;
+
+    // Authenticity's filter, shared by every layer
+    this.output = audioContext.createBiquadFilter();
+    this.output.type = 'lowpass';
+    this.output.frequency.value = this.cutoff(0);
+    this.output.connect(destination);
+
+    this.layers = Object.entries(config.layers).map(([territory, definition]) => this.createLayer(territory, definition));
+  }
+
+  createLayer(territory, definition) {
+    const ctx = this.audioContext;
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = definition.filter;
+    filter.connect(gain);
+    gain.connect(this.output);
+
+    // Drive: the voices clipped against a soft curve
+    let input = filter;
+    if (definition.drive) {
+      input = ctx.createWaveShaper();
+      input.curve = driveCurve(definition.drive);
+      input.connect(filter);
+    }
+
+    const sources = [];
+
+    // Tremolo swings the voices' gain; vibrato their pitch (in cents)
+    let target = input;
+    if (definition.tremolo) {
+      const { rate, depth } = definition.tremolo;
+      target = ctx.createGain();
+      target.gain.value = 1 - depth / 2;
+      target.connect(input);
+      sources.push(this.lfo(rate, depth / 2, [target.gain]));
+    }
+
+    const voices = (definition.voices ?? []).map(({ type, ratio, detune = 0 }) => {
+      const osc = ctx.createOscillator();
+      osc.type = type;
+      osc.frequency.value = this.fundamental * ratio;
+      osc.detune.value = detune;
+      osc.connect(target);
+      sources.push(osc);
+      return { osc, ratio, detune };
+    });
+
+    if (definition.vibrato && voices.length > 0) {
+      sources.push(this.lfo(definition.vibrato.rate, definition.vibrato.depth, voices.map(v => v.osc.detune)));
+    }
+
+    return { territory, definition, gain, input, voices, sources };
+  }
+
+  lfo(rate, depth, params) {
+    const osc = this.audioContext.createOscillator();
+    const amount = this.audioContext.createGain();
+    osc.frequency.value = rate;
+    amount.gain.value = depth;
+    osc.connect(amount);
+    for (const param of params) amount.connect(param);
+    return osc;
+  }
+
+  start() {
+    for (const layer of this.layers) {
+      for (const source of layer.sources) source.start();
+    }
+  }
+
+  /**
+   * Blend toward a new StateTerritory position over the crossfade.
+   * Returns how loud each layer will be, 0-1.
+   */
+  setPosition(position) {
+    this.position = { ...NEUTRAL, ...position };
+    const now = this.audioContext.currentTime;
+    const end = now + this.config.crossfade / 1000;
+
+    for (const layer of this.layers) {
+      const { axis, sign, volume } = layer.definition;
+      const weight = Math.max(0, Math.min(1, sign * this.position[axis]));
+      this.weights[layer.territory] = weight;
+      ramp(layer.gain.gain, weight * volume, now, end);
+    }
+
+    // Genuine is open and in tune; performed is muffled and drifting
+    const authenticity = this.position.authenticity;
+    ramp(this.output.frequency, this.cutoff(authenticity), now, end);
+    const drift = Math.max(0, -authenticity) * this.config.authenticity.performanceDetune;
+    this.layers.forEach((layer, i) => {
+      for (const { osc, detune } of layer.voices) {
+        // Neighbouring layers drift opposite ways, so they beat against each other
+        ramp(osc.detune, detune + (i % 2 ? drift : -drift), now, end);
+      }
+    });
+
+    return { ...this.weights };
+  }
+
+  cutoff(authenticity) {
+    const { performanceCutoff, genuineCutoff } = this.config.authenticity;
+    return performanceCutoff + (genuineCutoff - performanceCutoff) * (authenticity + 1) / 2;
+  }
+
+  // Follow the drone when its pitch moves
+  setFundamental(fundamental, seconds = 1) {
+    this.fundamental = fundamental;
+    const now = this.audioContext.currentTime;
+    for (const layer of this.layers) {
+      for (const { osc, ratio } of layer.voices) ramp(osc.frequency, fundamental * ratio, now, now + seconds);
+    }
+  }
+
+  // Grains are scattered a frame at a time, as densely as their layer is loud
+  update() {
+    const now = this.audioContext.currentTime;
+    if (now < this.nextGrainAt) return;
+
+    for (const layer of this.layers) {
+      const grains = layer.definition.grains;
+      const weight = this.weights[layer.territory] ?? 0;
+      if (!grains || weight <= 0) continue;
+
+      this.playGrain(layer, grains, now);
+      const [shortest, longest] = grains.interval;
+      this.nextGrainAt = now + (longest - (longest - shortest) * weight * this.random.next()) / 1000;
+    }
+  }
+
+  playGrain(layer, { type, ratios, duration }, now) {
+    const seconds = this.random.range(duration[0], duration[1]) / 1000;
+    const osc = this.audioContext.createOscillator();
+    const gain = this.audioContext.createGain();
+
+    osc.type = type;
+    osc.frequency.value = this.fundamental * this.random.pick(ratios);
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(1, now + seconds / 2);
+    gain.gain.linearRampToValueAtTime(0, now + seconds);
+
+    osc.connect(gain);
+    gain.connect(layer.input);
+    osc.onended = () => gain.disconnect();
+    osc.start(now);
+    osc.stop(now + seconds);
+  }
+
+  // Every layer out, for an ending to have the space to itself
+  fadeOut(seconds) {
+    const now = this.audioContext.currentTime;
+    for (const layer of this.layers) {
+      ramp(layer.gain.gain, 0, now, now + seconds);
+      this.weights[layer.territory] = 0;
+    }
+  }
+
+  stop() {
+    for (const layer of this.layers) {
+      for (const source of layer.sources) {
+        try { source.stop(); } catch (e) { /* never started */ }
+      }
+    }
+  }
+}
+
+// From wherever the param is now, so an interrupted crossfade carries on smoothly
+function ramp(param, value, now, end) {
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(param.value, now);
+  param.linearRampToValueAtTime(value, end);
+}
+
+function driveCurve(amount, samples = 1024) {
+  const k = amount * 50;
+  const curve = new Float32Array(samples);
+  for (let i = 0; i < samples; i++) {
+    const x = (i / (samples - 1)) * 2 - 1;
+    curve[i] = ((1 + k) * x) / (1 + k * Math.abs(x));
+  }
+  return curve;
+}
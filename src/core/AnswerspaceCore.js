@@ -0,0 +1,265 @@
+import { EventBus, EVENTS } from './EventBus.js';
+import { systemClock } from './clock.js';
+import { createRandom } from './random.js';
+import { measureKeystrokes } from './keystrokes.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { Transcript } from './Transcript.js';
+import { ContextWindow } from '../memory/ContextWindow.js';
+import { ConsistencyTracker } from '../memory/ConsistencyTracker.js';
+import { PersistentMemory } from '../memory/PersistentMemory.js';
+import { MemoryPrivacy } from '../memory/MemoryPrivacy.js';
+import { QuestionEngine } from '../questions/QuestionEngine.js';
+import { createQuestionPack, formatPackErrors } from '../questions/questionPacks.js';
+import { createQuestionProviders } from '../questions/questionProviders.js';
+import { createLocale, DEFAULT_LOCALE } from '../i18n/locales.js';
+import { AlignmentTracker } from '../reality/AlignmentTracker.js';
+import { StateTerritory } from '../reality/StateTerritory.js';
+
+/**
+ * AnswerspaceCore - The question/response/territory loop, headless
+ *
+ * No DOM, no WebGL, no Web Audio. Everything the space *thinks*
+ * lives here and runs from plain function calls:
+ *
+ *   const core = new AnswerspaceCore({ storage, clock, seed: 'demo' });
+ *   const question = core.ask();
+ *   const result = core.submitResponse('I am not sure.');
+ *
+ * The browser ANSWERSPACE is a presentation layer that subscribes
+ * to `core.bus` and renders what happens here. It draws its own
+ * randomness from `core.random` forks, so the seed covers the space too.
+ */
+
+export class AnswerspaceCore {
+  constructor({
+    storage,
+    clock = systemClock,
+    seed,
+    territoriesOnly = false,
+    packs = [],
+    locale = DEFAULT_LOCALE,
+    questionProviders = []
+  } = {}) {
+    this.clock = clock;
+    this.random = createRandom(seed);
+
+    // What the space says, and which words it listens for
+    this.locale = createLocale(locale);
+
+    // Territories mode: no endings, the player can always keep exploring
+    this.territoriesOnly = territoriesOnly;
+    this.ending = null;
+
+    this.bus = new EventBus();
+
+    // Built-in questions plus any extra packs; broken packs are skipped, not fatal
+    this.packs = packs;
+    const { pack, errors } = createQuestionPack(packs, this.locale);
+    this.questionPack = pack;
+    this.packErrors = errors;
+    if (errors.length > 0) {
+      console.warn(`Question pack problems:\n${formatPackErrors(errors)}`);
+    }
+
+    this.contextWindow = new ContextWindow({ clock, locale: this.locale });
+    this.consistencyTracker = new ConsistencyTracker(this.contextWindow, { clock, locale: this.locale });
+    this.alignmentTracker = new AlignmentTracker({ clock, locale: this.locale });
+    this.stateTerritory = new StateTerritory({ clock, locale: this.locale });
+    this.persistentMemory = new PersistentMemory({
+      storage,
+      clock,
+      random: this.random.fork('memory'),
+      locale: this.locale
+    });
+    this.persistentMemory.setSeed(this.random.seed);
+    this.consistencyTracker.rememberPastClaims(this.persistentMemory.getPastClaims());
+
+    // What the player can see and undo of their memory (and keep from being kept)
+    this.privacy = new MemoryPrivacy(this.persistentMemory, this.consistencyTracker, { locale: this.locale });
+
+    // Generated questions ahead of the authored ones (see questionProviders.js)
+    this.questionProviders = createQuestionProviders(questionProviders, {
+      random: this.random,
+      locale: this.locale
+    });
+    this.questionEngine = new QuestionEngine(
+      this.contextWindow,
+      this.consistencyTracker,
+      {
+        clock,
+        random: this.random.fork('questions'),
+        pack,
+        locale: this.locale,
+        stateTerritory: this.stateTerritory,
+        alignmentTracker: this.alignmentTracker,
+        persistentMemory: this.persistentMemory,
+        providers: this.questionProviders
+      }
+    );
+    this.transcript = new Transcript(this.contextWindow, { clock });
+
+    this.connectSubsystems();
+
+    // Always recording - a session can only be reproduced if it was kept
+    this.recorder = new SessionRecorder(this);
+  }
+
+  connectSubsystems() {
+    // Analysis chains through its own events: context → consistency → territory
+    this.contextWindow.connect(this.bus);
+    this.consistencyTracker.connect(this.bus);
+    this.stateTerritory.connect(this.bus);
+    this.alignmentTracker.connect(this.bus);
+    this.questionEngine.connect(this.bus);
+    this.persistentMemory.connect(this.bus);
+    this.transcript.connect(this.bus);
+  }
+
+  // Late-game greeting for returning players, if memory is active
+  getMemoryPrompt() {
+    if (!this.persistentMemory.isMemoryActive()) return null;
+    return this.persistentMemory.getMemoryPrompt();
+  }
+
+  nextQuestion() {
+    if (this.ending) return null;
+    return this.questionEngine.getNextQuestion();
+  }
+
+  // Gives slow providers their chance; nextQuestion() never waits on its own
+  async prepareQuestion() {
+    if (this.ending) return;
+    await this.questionEngine.prepare();
+  }
+
+  // Presentation calls this once the question is actually in front of the player
+  questionShown(question) {
+    this.bus.emit(EVENTS.QUESTION_SHOWN, {
+      question,
+      revealLevel: this.questionEngine.getRevealLevel()
+    });
+  }
+
+  // Select and present in one step, for headless runs
+  ask() {
+    const question = this.nextQuestion();
+    if (question) this.questionShown(question);
+    return question;
+  }
+
+  submitResponse(text, { typing = [] } = {}) {
+    // Nothing more is heard once an ending has been reached
+    if (this.ending) return null;
+
+    const timestamp = this.clock.now();
+    const response = { id: timestamp, text, timestamp, typing, keystrokes: measureKeystrokes(typing) };
+
+    this.bus.emit(EVENTS.RESPONSE_SUBMITTED, { response });
+
+    const result = {
+      response,
+      entry: this.contextWindow.getEntry(response.id),
+      contradictions: this.consistencyTracker.contradictions
+        .filter(c => c.currentResponseId === response.id),
+      territory: this.stateTerritory.getState(),
+      ending: this.checkEnding()
+    };
+
+    this.bus.emit(EVENTS.STATE_UPDATED, { cause: 'response', state: this.getState() });
+    return result;
+  }
+
+  recordSilence(duration = 0, { typing = [] } = {}) {
+    if (this.ending) return null;
+
+    // Text left in the input when the silence fell
+    const draft = typing.at(-1)?.length > 0 ? { typing, keystrokes: measureKeystrokes(typing) } : null;
+    this.bus.emit(EVENTS.SILENCE, { duration, draft });
+
+    const result = {
+      territory: this.stateTerritory.getState(),
+      ending: this.checkEnding()
+    };
+
+    this.bus.emit(EVENTS.STATE_UPDATED, { cause: 'silence', state: this.getState() });
+    return result;
+  }
+
+  checkEnding() {
+    if (this.territoriesOnly || this.ending) return null;
+
+    const ending = this.alignmentTracker.checkTerminalConditions(
+      this.questionEngine.responseCount,
+      this.questionEngine.silenceCount
+    );
+    if (!ending) return null;
+
+    this.ending = ending;
+    this.persistentMemory.recordEnding(ending);
+    this.bus.emit(EVENTS.ENDING_REACHED, { ending });
+
+    return ending;
+  }
+
+  getState() {
+    return {
+      seed: this.random.seed,
+      locale: this.locale.code,
+      session: this.persistentMemory.getSessionCount(),
+      responseCount: this.questionEngine.responseCount,
+      phase: this.questionEngine.getCurrentPhase(),
+      revealLevel: this.questionEngine.getRevealLevel(),
+      contradictionLevel: this.consistencyTracker.getContradictionLevel(),
+      crossSessionLevel: this.consistencyTracker.getCrossSessionLevel(),
+      tokens: this.contextWindow.totalTokens,
+      contextUsage: this.contextWindow.getContextUsage(),
+      territory: this.stateTerritory.getState(),
+      alignment: this.alignmentTracker.getAlignmentData(),
+      ending: this.ending
+    };
+  }
+
+  /**
+   * Why the last response moved what it moved: every measure's value
+   * with the words (or features) that contributed to it, and the
+   * response cut into its tokens. Spans index into `text`.
+   */
+  explain() {
+    const { explanation } = this.contextWindow;
+    if (!explanation) return null;
+
+    const { responseId, text, tokens } = explanation;
+    const current = (source) => source?.responseId === responseId ? source.measures : {};
+
+    return {
+      responseId,
+      text,
+      tokens,
+      context: explanation.measures,
+      alignment: current(this.alignmentTracker.explanation),
+      territory: current(this.stateTerritory.explanation)
+    };
+  }
+
+  // format: 'json' | 'markdown' | 'html'
+  exportTranscript(format = 'json') {
+    return this.transcript.render(format);
+  }
+
+  getRecording() {
+    return this.recorder.getRecording();
+  }
+
+  // Whatever persistent memory has not written yet, now
+  saveMemory() {
+    return this.persistentMemory.save();
+  }
+
+  endSession() {
+    this.persistentMemory.endSession();
+  }
+
+  dispose() {
+    this.bus.clear();
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * EventBus - How the subsystems of the space hear each other
+ *
+ * The orchestrator only announces what happened. Every subsystem
+ * subscribes to the moments it cares about, so a new reaction is a
+ * new subscriber rather than another line in a fixed pipeline.
+ *
+ * Handlers run synchronously, in subscription order. Events emitted
+ * from inside a handler are delivered before the outer emit returns,
+ * which is what lets analysis chain: context → consistency → territory.
+ */
+
+/**
+ * @typedef {Object} ResponseData
+ * @property {number} id
+ * @property {string} text
+ * @property {number} timestamp
+ * @property {{ t: number, length: number }[]} [typing]
+ *   Input events while composing: ms since the input appeared, and text length after.
+ * @property {?Object} [keystrokes]
+ *   What the typing says about how it was answered (see core/keystrokes.js); null without typing.
+ */
+
+/**
+ * Event name → payload. Every event on the bus is listed here.
+ *
+ * @typedef {Object} EventMap
+ * @property {{ response: ResponseData }} 'response:submitted'
+ *   The player answered. First event of every response.
+ * @property {{ response: ResponseData, entry: Object }} 'memory:added'
+ *   ContextWindow stored the response; `entry` carries tokens, retention and metadata.
+ * @property {{ entry: Object }} 'memory:evicted'
+ *   An old response fell out of the context window.
+ * @property {{ contradiction: Object, level: number }} 'contradiction:detected'
+ *   One claim contradicting an earlier one, with its `confidence` and the quoted
+ *   `spans` of both. Emitted once per contradiction.
+ * @property {{ response: ResponseData, entry: Object, claims: Object[], contradictions: Object[], pastContradictions: Object[], level: number, crossSessionLevel: number, anomalyTriggered: boolean }} 'consistency:checked'
+ *   ConsistencyTracker finished with a response, contradictions or not.
+ *   `claims` are what the response stated; `pastContradictions` contradict
+ *   earlier visits (with `sessionsAgo`) and raise `crossSessionLevel` only.
+ *   `anomalyTriggered` is true while the level is past the spatial anomaly trigger.
+ * @property {{ state: Object, previousTerritory: string, entered: boolean, response: ?ResponseData, entry: ?Object }} 'territory:changed'
+ *   The player's position in state space moved (after each response and silence).
+ *   `entered` is true when the named territory itself changed.
+ * @property {{ phase: string, previousPhase: string }} 'phase:changed'
+ *   QuestionEngine moved to a different phase.
+ * @property {{ duration: number, draft: ?{ typing: Object[], keystrokes: Object } }} 'silence'
+ *   The player let the silence threshold pass without answering. `draft` is
+ *   what they had typed and left unsent, if anything.
+ * @property {{ question: Object, revealLevel: number }} 'question:shown'
+ *   A question finished appearing on screen.
+ * @property {{ ending: string }} 'ending:reached'
+ *   A terminal condition was met. Nothing more is heard after this.
+ * @property {{ cause: 'response'|'silence', state: Object }} 'state:updated'
+ *   The core finished processing a response or silence. `state` is AnswerspaceCore.getState().
+ * @property {{ reason: 'pressure'|'full'|'failed', usage?: number, quota?: number, retainSessions?: number, error?: Error }} 'storage:warning'
+ *   PersistentMemory is running out of room ('pressure'), had to let old visits
+ *   go to save this one ('full'), or could not save at all ('failed').
+ */
+
+export const EVENTS = Object.freeze({
+  RESPONSE_SUBMITTED: 'response:submitted',
+  MEMORY_ADDED: 'memory:added',
+  MEMORY_EVICTED: 'memory:evicted',
+  CONTRADICTION_DETECTED: 'contradiction:detected',
+  CONSISTENCY_CHECKED: 'consistency:checked',
+  TERRITORY_CHANGED: 'territory:changed',
+  PHASE_CHANGED: 'phase:changed',
+  SILENCE: 'silence',
+  QUESTION_SHOWN: 'question:shown',
+  ENDING_REACHED: 'ending:reached',
+  STATE_UPDATED: 'state:updated',
+  STORAGE_WARNING: 'storage:warning'
+});
+
+const KNOWN_EVENTS = new Set(Object.values(EVENTS));
+
+export class EventBus {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * @template {keyof EventMap} K
+   * @param {K} event
+   * @param {(payload: EventMap[K]) => void} handler
+   * @returns {() => void} unsubscribe
+   */
+  on(event, handler) {
+    this.assertKnown(event);
+
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, []);
+    }
+    this.handlers.get(event).push(handler);
+
+    return () => this.off(event, handler);
+  }
+
+  once(event, handler) {
+    const unsubscribe = this.on(event, (payload) => {
+      unsubscribe();
+      handler(payload);
+    });
+    return unsubscribe;
+  }
+
+  off(event, handler) {
+    const handlers = this.handlers.get(event);
+    if (!handlers) return;
+
+    const index = handlers.indexOf(handler);
+    if (index > -1) handlers.splice(index, 1);
+  }
+
+  /**
+   * @template {keyof EventMap} K
+   * @param {K} event
+   * @param {EventMap[K]} payload
+   */
+  emit(event, payload) {
+    this.assertKnown(event);
+
+    // Copy so handlers can unsubscribe mid-dispatch
+    const handlers = [...(this.handlers.get(event) || [])];
+    for (const handler of handlers) {
+      try {
+        handler(payload);
+      } catch (error) {
+        // One broken responder should not silence the rest
+        console.error(`Handler for "${event}" failed:`, error);
+      }
+    }
+  }
+
+  assertKnown(event) {
+    if (!KNOWN_EVENTS.has(event)) {
+      throw new Error(`Unknown event: ${event}`);
+    }
+  }
+
+  clear() {
+    this.handlers.clear();
+  }
+}
@@ -0,0 +1,114 @@
+import { EVENTS } from './EventBus.js';
+import { createManualClock } from './clock.js';
+import { createMemoryStorage } from './storage.js';
+import { STORAGE_KEY } from '../memory/PersistentMemory.js';
+import { replayQuestionProviders } from '../questions/questionProviders.js';
+
+/**
+ * SessionRecorder - A session as a timeline
+ *
+ * Every question shown, every response (with its typing timestamps),
+ * every silence and the state that followed, stamped with milliseconds
+ * since the session began. Together with the seed, the locale, the
+ * question packs, the question providers (with any generated questions
+ * they served) and the memory the player arrived with, that is enough
+ * to play the session back exactly.
+ *
+ * Memory sealed with a passphrase, or kept only for the page
+ * (MemoryPrivacy), never goes into a recording; such a session replays
+ * as a first visit.
+ *
+ * Version 2 added packs, locale and questionProviders; a version 1
+ * recording replays with the built-in pack, the default locale and no
+ * providers, which is all there was then.
+ */
+
+export const RECORDING_VERSION = 2;
+
+export class SessionRecorder {
+  constructor(core) {
+    this.core = core;
+    this.clock = core.clock;
+    this.startedAt = this.clock.now();
+    this.events = [];
+
+    // What persistent memory looked like before this visit touched it
+    this.initialMemory = core.persistentMemory.storage.getItem(STORAGE_KEY);
+
+    this.connect(core.bus);
+  }
+
+  connect(bus) {
+    bus.on(EVENTS.QUESTION_SHOWN, ({ question, revealLevel }) => {
+      this.record('question', { id: question.id, text: question.text, revealLevel });
+    });
+
+    bus.on(EVENTS.RESPONSE_SUBMITTED, ({ response }) => {
+      this.record('response', { text: response.text, typing: response.typing || [] });
+    });
+
+    bus.on(EVENTS.SILENCE, ({ duration, draft }) => {
+      this.record('silence', { duration, ...(draft && { typing: draft.typing }) });
+    });
+
+    bus.on(EVENTS.STATE_UPDATED, ({ cause, state }) => {
+      this.record('state', { cause, state });
+    });
+
+    bus.on(EVENTS.ENDING_REACHED, ({ ending }) => {
+      this.record('ending', { ending });
+    });
+  }
+
+  record(type, data) {
+    this.events.push({ t: this.clock.now() - this.startedAt, type, ...data });
+  }
+
+  getRecording() {
+    return {
+      version: RECORDING_VERSION,
+      seed: this.core.random.seed,
+      startedAt: this.startedAt,
+      territoriesOnly: this.core.territoriesOnly,
+      packs: this.core.packs,
+      locale: this.core.locale.code,
+      questionProviders: this.core.questionProviders.map(p => p.toJSON()),
+      initialMemory: this.sharesMemory() ? this.initialMemory : null,
+      events: this.events.map(e => ({ ...e }))
+    };
+  }
+
+  // Asked at download time: the player may have sealed memory since the visit began
+  sharesMemory() {
+    const memory = this.core.persistentMemory;
+    return !memory.storage.encrypted && !memory.ephemeral;
+  }
+}
+
+export function validateRecording(recording) {
+  const version = recording?.version;
+  if (!Number.isInteger(version) || version < 1 || version > RECORDING_VERSION || !Array.isArray(recording.events)) {
+    throw new Error(`Unsupported recording (expected version ${RECORDING_VERSION} or earlier)`);
+  }
+  return recording;
+}
+
+/**
+ * Core options that recreate the recorded session's starting point:
+ * same seed, same memory, and a clock the replay moves by hand.
+ * Replays never write to the player's real storage.
+ */
+export function createReplayOptions(recording) {
+  validateRecording(recording);
+
+  const initial = recording.initialMemory ? { [STORAGE_KEY]: recording.initialMemory } : {};
+  return {
+    seed: recording.seed,
+    territoriesOnly: recording.territoriesOnly,
+    packs: recording.packs ?? [],
+    locale: recording.locale,
+    questionProviders: replayQuestionProviders(recording.questionProviders),
+    storage: createMemoryStorage(initial),
+    clock: createManualClock(recording.startedAt)
+  };
+}
@@ -0,0 +1,237 @@
+import visualParams from '../config/visual-params.json' with { type: 'json' };
+import { EVENTS } from './EventBus.js';
+import { systemClock } from './clock.js';
+
+/**
+ * Transcript - The conversation, kept whole
+ *
+ * ContextWindow forgets on purpose and PersistentMemory keeps only
+ * the shape of a session. The transcript keeps the words: each
+ * question paired with what was said (or not said) in reply, with
+ * what the space made of it at the time.
+ *
+ * Renders as JSON, Markdown, or a self-contained HTML page.
+ */
+
+export const TRANSCRIPT_FORMATS = Object.freeze({
+  json: { extension: 'json', type: 'application/json' },
+  markdown: { extension: 'md', type: 'text/markdown' },
+  html: { extension: 'html', type: 'text/html' }
+});
+
+export class Transcript {
+  constructor(contextWindow, { clock = systemClock } = {}) {
+    this.contextWindow = contextWindow;
+    this.clock = clock;
+    this.startedAt = this.clock.now();
+
+    this.turns = [];
+    this.pendingQuestion = null;
+    this.ending = null;
+  }
+
+  connect(bus) {
+    bus.on(EVENTS.QUESTION_SHOWN, ({ question, revealLevel }) => {
+      this.pendingQuestion = { id: question.id, text: question.text, revealLevel };
+    });
+
+    bus.on(EVENTS.CONSISTENCY_CHECKED, ({ response, entry, contradictions, pastContradictions = [] }) => {
+      this.turns.push({
+        ...this.takeQuestion(),
+        response: {
+          id: response.id,
+          text: response.text,
+          timestamp: response.timestamp,
+          tokens: entry.tokens,
+          // Retention as first stored; memory decays it from here
+          retention: entry.retention,
+          ...entry.metadata
+        },
+        // Contradictions of an earlier visit carry how long ago it was
+        contradictions: [...contradictions, ...pastContradictions].map(c => ({
+          topic: c.topic,
+          previous: c.previous,
+          current: c.current,
+          confidence: c.confidence,
+          ...(c.sessionsAgo && { sessionsAgo: c.sessionsAgo })
+        })),
+        territory: null
+      });
+    });
+
+    bus.on(EVENTS.SILENCE, ({ duration }) => {
+      this.turns.push({
+        ...this.takeQuestion(),
+        silence: { duration, timestamp: this.clock.now() },
+        territory: null
+      });
+    });
+
+    // Where each answer (or silence) left the player
+    bus.on(EVENTS.TERRITORY_CHANGED, ({ state }) => {
+      const turn = this.turns[this.turns.length - 1];
+      if (turn && !turn.territory) {
+        turn.territory = {
+          name: state.territory,
+          beauty: state.beautyScore,
+          freedom: state.freedomScore,
+          trapped: state.isTrapped
+        };
+      }
+    });
+
+    bus.on(EVENTS.ENDING_REACHED, ({ ending }) => {
+      this.ending = ending;
+    });
+  }
+
+  takeQuestion() {
+    const question = this.pendingQuestion;
+    this.pendingQuestion = null;
+    return {
+      question: question ? { id: question.id, text: question.text } : null,
+      revealLevel: question?.revealLevel ?? null
+    };
+  }
+
+  toJSON() {
+    return {
+      startedAt: new Date(this.startedAt).toISOString(),
+      ending: this.ending,
+      turns: this.turns.map(turn => {
+        if (!turn.response) return turn;
+
+        // Evicted from context: remembered here, forgotten there
+        const live = this.contextWindow.getEntry(turn.response.id);
+        return {
+          ...turn,
+          response: { ...turn.response, currentRetention: live ? live.retention : 0 }
+        };
+      })
+    };
+  }
+
+  render(format = 'json') {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(this.toJSON(), null, 2);
+      case 'markdown':
+        return this.toMarkdown();
+      case 'html':
+        return this.toHTML();
+      default:
+        throw new Error(`Unknown transcript format: ${format}`);
+    }
+  }
+
+  toMarkdown() {
+    const data = this.toJSON();
+    const lines = ['# ANSWERSPACE transcript', '', `Started ${data.startedAt}`, ''];
+
+    data.turns.forEach((turn, i) => {
+      lines.push(`## ${i + 1}. ${turn.question?.text ?? '(no question)'}`, '');
+
+      if (turn.response) {
+        lines.push(...turn.response.text.split('\n').map(line => `> ${line}`), '');
+        lines.push(`- ${formatMetadata(turn.response).join(' · ')}`);
+      } else {
+        lines.push(`*silence (${Math.round(turn.silence.duration / 1000)}s)*`, '');
+      }
+
+      if (turn.territory) lines.push(`- territory: ${formatTerritory(turn.territory)}`);
+      if (turn.revealLevel !== null) lines.push(`- reveal level: ${turn.revealLevel}`);
+
+      for (const c of turn.contradictions || []) {
+        lines.push(`- "${c.current}" contradicts "${c.previous}"${formatWhen(c)} (confidence ${c.confidence.toFixed(2)})`);
+      }
+      lines.push('');
+    });
+
+    if (data.ending) lines.push('---', '', `Ending: **${data.ending}**`, '');
+    return lines.join('\n');
+  }
+
+  toHTML() {
+    const data = this.toJSON();
+    const colors = visualParams.colors;
+
+    const turns = data.turns.map((turn, i) => {
+      const answer = turn.response
+        ? `<blockquote>${escapeHTML(turn.response.text)}</blockquote>
+      <p class="meta">${formatMetadata(turn.response).map(escapeHTML).join(' · ')}</p>`
+        : `<p class="silence">silence (${Math.round(turn.silence.duration / 1000)}s)</p>`;
+
+      const details = [
+        turn.territory && `territory: ${escapeHTML(formatTerritory(turn.territory))}`,
+        turn.revealLevel !== null && `reveal level: ${turn.revealLevel}`
+      ].filter(Boolean);
+
+      const contradictions = (turn.contradictions || []).map(c =>
+        `<li class="contradiction">“${escapeHTML(c.current)}” contradicts “${escapeHTML(c.previous)}”${formatWhen(c)} (confidence ${c.confidence.toFixed(2)})</li>`
+      );
+
+      return `    <section>
+      <h2><span>${i + 1}</span> ${escapeHTML(turn.question?.text ?? '(no question)')}</h2>
+      ${answer}
+      <ul>${[...details.map(d => `<li>${d}</li>`), ...contradictions].join('')}</ul>
+    </section>`;
+    }).join('\n');
+
+    const ending = data.ending
+      ? `\n    <footer>Ending: ${escapeHTML(data.ending)}</footer>`
+      : '';
+
+    return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>ANSWERSPACE transcript</title>
+    <style>
+      body { background: #0a0a0c; color: ${colors.primary}; font-family: 'Inter', sans-serif; font-weight: 300; max-width: 40rem; margin: 4rem auto; padding: 0 1.5rem; line-height: 1.6; }
+      header, .meta, ul, footer { font-family: 'IBM Plex Mono', monospace; font-size: 0.75rem; color: ${colors.secondary}; }
+      section { margin: 3rem 0; }
+      h2 { font-weight: 300; font-size: 1.1rem; }
+      h2 span { color: ${colors.accent}; margin-right: 0.5rem; }
+      blockquote { border-left: 1px solid ${colors.accent}; padding-left: 1rem; margin: 1rem 0; white-space: pre-wrap; }
+      .silence { font-style: italic; color: ${colors.secondary}; }
+      ul { list-style: none; padding: 0; }
+      .contradiction { color: ${colors.error}; }
+    </style>
+  </head>
+  <body>
+    <header>ANSWERSPACE transcript · started ${escapeHTML(data.startedAt)}</header>
+${turns}${ending}
+  </body>
+</html>
+`;
+  }
+}
+
+function formatMetadata(response) {
+  return [
+    `complexity ${response.complexity.toFixed(2)}`,
+    `certainty ${response.certainty.toFixed(2)}`,
+    `sentiment ${response.sentiment.toFixed(2)}`,
+    `retention ${response.retention.toFixed(2)} → ${response.currentRetention.toFixed(2)}`
+  ];
+}
+
+function formatTerritory(territory) {
+  const trapped = territory.trapped ? ', trapped' : '';
+  return `${territory.name} (beauty ${territory.beauty.toFixed(2)}, freedom ${territory.freedom.toFixed(2)}${trapped})`;
+}
+
+// ", said 3 visits ago" for a contradiction of an earlier visit
+function formatWhen(contradiction) {
+  const ago = contradiction.sessionsAgo;
+  if (!ago) return '';
+  return ago === 1 ? ', said last visit' : `, said ${ago} visits ago`;
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,25 @@
+/**
+ * Clocks - Where the space gets its sense of time
+ *
+ * The analysis side takes a clock instead of calling Date.now(),
+ * so a headless run can step time by hand.
+ */
+
+export const systemClock = {
+  now: () => Date.now()
+};
+
+// Manually advanced clock for headless runs and reproduction
+export function createManualClock(start = 0) {
+  let current = start;
+  return {
+    now: () => current,
+    advance(ms) {
+      current += ms;
+      return current;
+    },
+    set(time) {
+      current = time;
+    }
+  };
+}
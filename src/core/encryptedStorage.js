@@ -0,0 +1,142 @@
+/**
+ * Encrypted storage - Persistent memory under a passphrase
+ *
+ * Wraps another storage adapter (see storage.js). The listed keys are
+ * kept as AES-GCM envelopes, keyed by PBKDF2 from the passphrase; every
+ * other key passes through untouched. Envelopes are opened once, up
+ * front, so getItem stays synchronous; setItem resolves once the
+ * sealed value is written. A key's writes are sealed and written one
+ * after another, so the last one made is the one that stays.
+ *
+ *   { format, version, iterations, salt, iv, data }   (base64 fields)
+ *
+ * The passphrase is never stored. Lose it and the memory is gone.
+ */
+
+export const ENCRYPTED_FORMAT = 'answerspace-encrypted';
+const ENVELOPE_VERSION = 1;
+const ITERATIONS = 250000;
+
+export function isEncrypted(value) {
+  if (typeof value !== 'string' || !value.startsWith('{')) return false;
+  try {
+    return JSON.parse(value).format === ENCRYPTED_FORMAT;
+  } catch {
+    return false;
+  }
+}
+
+export async function openEncryptedStorage(storage, passphrase, { keys, crypto = globalThis.crypto } = {}) {
+  if (!crypto?.subtle) throw new Error('WebCrypto is not available');
+
+  const encryptedKeys = new Set(keys);
+  const items = new Map();
+
+  // Existing envelopes decide the salt; a wrong passphrase fails here
+  let salt = null;
+  let iterations = ITERATIONS;
+  let key = null;
+  for (const name of encryptedKeys) {
+    const stored = storage.getItem(name);
+    if (!isEncrypted(stored)) {
+      if (stored !== null) items.set(name, stored);
+      continue;
+    }
+
+    const envelope = JSON.parse(stored);
+    if (!key) {
+      salt = fromBase64(envelope.salt);
+      iterations = envelope.iterations;
+      key = await deriveKey(crypto, passphrase, salt, iterations);
+    }
+    items.set(name, await open(crypto, key, envelope));
+  }
+
+  if (!key) {
+    salt = crypto.getRandomValues(new Uint8Array(16));
+    key = await deriveKey(crypto, passphrase, salt, iterations);
+  }
+
+  // Each key's writes in order: one starts once the one before it has landed (or failed)
+  const queues = new Map();
+  const enqueue = (name, write) => {
+    const next = (queues.get(name) ?? Promise.resolve()).catch(() => {}).then(write);
+    queues.set(name, next);
+    return next;
+  };
+
+  return {
+    kind: `encrypted ${storage.kind ?? 'storage'}`,
+    encrypted: true,
+    getItem: (name) => {
+      if (!encryptedKeys.has(name)) return storage.getItem(name);
+      return items.has(name) ? items.get(name) : null;
+    },
+    setItem: (name, value) => {
+      if (!encryptedKeys.has(name)) return storage.setItem(name, value);
+
+      items.set(name, String(value));
+      return enqueue(name, () => seal(crypto, key, String(value), { salt, iterations })
+        .then(envelope => storage.setItem(name, JSON.stringify(envelope))));
+    },
+    removeItem: (name) => {
+      if (!encryptedKeys.has(name)) return storage.removeItem(name);
+
+      items.delete(name);
+      return enqueue(name, () => storage.removeItem(name));
+    },
+    estimate: () => storage.estimate?.() ?? Promise.resolve(null),
+    inner: storage
+  };
+}
+
+async function deriveKey(crypto, passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function seal(crypto, key, text, { salt, iterations }) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: ENVELOPE_VERSION,
+    iterations,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data))
+  };
+}
+
+async function open(crypto, key, envelope) {
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported encrypted memory (version ${envelope.version})`);
+  }
+  try {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.data)
+    );
+    return new TextDecoder().decode(data);
+  } catch {
+    // AES-GCM can't tell a wrong key from a damaged envelope
+    throw new Error('Wrong passphrase, or the memory is damaged');
+  }
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
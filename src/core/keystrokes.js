@@ -0,0 +1,75 @@
+import memoryConfig from '../config/memory-config.json' with { type: 'json' };
+
+/**
+ * Keystrokes - How an answer was typed, from its typing trace
+ *
+ * The trace is what UIManager captures on the response input: one
+ * { t, length } per input event (ms since the input appeared, text
+ * length after), the last one at submit. Everything here is read off
+ * that trace, so a replayed session measures the same.
+ *
+ *   firstKey         ms before the first keystroke
+ *   composeTime      ms from the first keystroke to the last event
+ *   pauses           gaps of at least `pauseThreshold`, and the longest
+ *   deletions        runs of deleting, and how many characters went
+ *   rewrites         deletions of `rewriteMin`+ characters typed over again
+ *   abandonedDrafts  times a draft of `draftMin`+ characters was cleared
+ *   hesitation       0-1, how much of that reads as holding back
+ */
+
+export function measureKeystrokes(typing, { config = memoryConfig.keystrokes } = {}) {
+  if (!typing?.length) return null;
+
+  const firstKey = typing[0].t;
+  let pauses = 0;
+  let longestPause = 0;
+  let deletions = 0;
+  let deletedChars = 0;
+  let rewrites = 0;
+  let abandonedDrafts = 0;
+
+  // The deletion run in progress: where it started, how much it took
+  let run = null;
+  const closeRun = (typedAgain) => {
+    if (!run) return;
+    deletions++;
+    if (run.cleared) abandonedDrafts++;
+    else if (typedAgain && run.deleted >= config.rewriteMin) rewrites++;
+    run = null;
+  };
+
+  for (let i = 1; i < typing.length; i++) {
+    const gap = typing[i].t - typing[i - 1].t;
+    if (gap >= config.pauseThreshold) pauses++;
+    longestPause = Math.max(longestPause, gap);
+
+    const change = typing[i].length - typing[i - 1].length;
+    if (change < 0) {
+      run ??= { from: typing[i - 1].length, deleted: 0 };
+      run.deleted -= change;
+      deletedChars -= change;
+      run.cleared = typing[i].length === 0 && run.from >= config.draftMin;
+    } else if (change > 0) {
+      closeRun(true);
+    }
+  }
+  closeRun(false);
+
+  const hesitation =
+    Math.min(firstKey / config.hesitantFirstKey, 1) * 0.5 +
+    Math.min(pauses / config.hesitantPauses, 1) * 0.3 +
+    Math.min(rewrites + abandonedDrafts, 1) * 0.2;
+
+  return {
+    firstKey,
+    composeTime: typing.at(-1).t - firstKey,
+    pauses,
+    longestPause,
+    deletions,
+    deletedChars,
+    rewrites,
+    abandonedDrafts,
+    length: typing.at(-1).length,
+    hesitation
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * Random - Seeded randomness for everything the player can see
+ *
+ * Same seed + same answers = same questions and the same space.
+ * Each subsystem draws from its own fork, so UI timing jitter can
+ * never shift which question comes next.
+ */
+
+// FNV-1a, so string seeds from a URL work as well as numbers
+function hashSeed(value) {
+  const text = String(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function generateSeed() {
+  return Math.floor(Math.random() * 0xffffffff).toString(36);
+}
+
+export function createRandom(seed = generateSeed()) {
+  // mulberry32
+  let state = hashSeed(seed);
+
+  const random = {
+    seed,
+
+    next() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    range(min, max) {
+      return min + random.next() * (max - min);
+    },
+
+    pick(items) {
+      return items[Math.floor(random.next() * items.length)];
+    },
+
+    // Independent stream derived from this seed and a label
+    fork(label) {
+      return createRandom(`${seed}:${label}`);
+    }
+  };
+
+  return random;
+}
@@ -0,0 +1,155 @@
+/**
+ * Storage - Where persistent memory is kept between visits
+ *
+ * Adapters follow the subset of the Web Storage API that
+ * PersistentMemory uses: getItem, setItem, removeItem. Reads are
+ * always synchronous; setItem may return a promise for a write that
+ * lands later (IndexedDB), and throws or rejects when it can't be
+ * kept (quota). estimate() reports { usage, quota } in bytes, or null
+ * when the backend can't tell.
+ *
+ *   indexeddb     the browser default, opened (and read whole) up front
+ *   localStorage  when IndexedDB can't be opened
+ *   memory        tests, replays, and browsers with nothing else
+ */
+
+const DB_NAME = 'answerspace';
+const DB_VERSION = 1;
+const STORE = 'items';
+
+// What browsers commonly allow localStorage, per origin; it has no estimate of its own
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+export function createMemoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    kind: 'memory',
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+    estimate: async () => null
+  };
+}
+
+export function createWebStorage(webStorage) {
+  return {
+    kind: 'localStorage',
+    getItem: (key) => webStorage.getItem(key),
+    setItem: (key, value) => webStorage.setItem(key, value),
+    removeItem: (key) => webStorage.removeItem(key),
+    // UTF-16, two bytes a character, keys included
+    estimate: async () => {
+      let usage = 0;
+      for (let i = 0; i < webStorage.length; i++) {
+        const key = webStorage.key(i);
+        usage += (key.length + (webStorage.getItem(key)?.length ?? 0)) * 2;
+      }
+      return { usage, quota: LOCAL_STORAGE_QUOTA };
+    }
+  };
+}
+
+// localStorage when the environment has one, otherwise memory only
+export function getDefaultStorage() {
+  try {
+    if (typeof globalThis.localStorage !== 'undefined') {
+      return createWebStorage(globalThis.localStorage);
+    }
+  } catch (error) {
+    // Access can throw (sandboxed iframes, disabled storage)
+    console.warn('localStorage unavailable, memory will not persist:', error);
+  }
+  return createMemoryStorage();
+}
+
+/**
+ * IndexedDB, read into memory once so getItem stays synchronous.
+ * Writes update the copy at once and resolve when they are on disk.
+ */
+export async function openIndexedDBStorage({ indexedDB = globalThis.indexedDB, name = DB_NAME } = {}) {
+  if (!indexedDB) throw new Error('IndexedDB is not available');
+
+  const openRequest = indexedDB.open(name, DB_VERSION);
+  openRequest.onupgradeneeded = () => openRequest.result.createObjectStore(STORE);
+  const db = await settle(openRequest);
+
+  const items = new Map();
+  const readStore = db.transaction(STORE, 'readonly').objectStore(STORE);
+  const [keys, values] = await Promise.all([settle(readStore.getAllKeys()), settle(readStore.getAll())]);
+  keys.forEach((key, i) => items.set(key, values[i]));
+
+  const write = (action) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, 'readwrite');
+    action(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve();
+    // A full disk aborts the transaction with a QuotaExceededError
+    transaction.onerror = transaction.onabort = () => reject(transaction.error);
+  });
+
+  return {
+    kind: 'indexeddb',
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+      return write(store => store.put(String(value), key));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+      return write(store => store.delete(key));
+    },
+    estimate: async () => {
+      const estimate = await globalThis.navigator?.storage?.estimate?.();
+      return estimate ? { usage: estimate.usage, quota: estimate.quota } : null;
+    },
+    close: () => db.close()
+  };
+}
+
+/**
+ * The best storage this browser has. Keys listed in `adopt` are moved
+ * over from localStorage the first time IndexedDB is used, so memory
+ * kept by an older version isn't lost.
+ */
+export async function openStorage({ adopt = [] } = {}) {
+  try {
+    const storage = await openIndexedDBStorage();
+    await adoptFromLocalStorage(storage, adopt);
+    return storage;
+  } catch (error) {
+    console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+    return getDefaultStorage();
+  }
+}
+
+// Once `storage` holds a key, the localStorage copy goes - even a stale one,
+// which would otherwise outlive forgetting and encryption
+export async function adoptFromLocalStorage(storage, keys, local = localStorageIfAny()) {
+  if (!local) return;
+
+  for (const key of keys) {
+    const value = local.getItem(key);
+    if (value === null) continue;
+
+    if (storage.getItem(key) === null) await storage.setItem(key, value);
+    local.removeItem(key);
+  }
+}
+
+function localStorageIfAny() {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    return null; // Access can throw (sandboxed iframes, disabled storage)
+  }
+}
+
+function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
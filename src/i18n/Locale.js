@@ -0,0 +1,81 @@
+/**
+ * Locale - One language's strings, number formats and lexicons
+ *
+ * Strings are looked up by dotted key (`memory.themes.identity`) and
+ * fall back to the fallback locale (English) when a bundle leaves one
+ * out. Lexicons are the word lists the analyzers listen for; a locale's
+ * lists are added to the fallback's, so an English answer is still
+ * heard in any language. Grammars (for generated questions) fall back
+ * rule by rule, never mixing two languages in one rule.
+ */
+
+export class Locale {
+  constructor(bundle, fallback = null) {
+    this.bundle = bundle;
+    this.fallback = fallback;
+    this.code = bundle.locale;
+    this.name = bundle.name;
+
+    this.numberFormats = new Map();
+    this.lexicons = new Map();
+  }
+
+  // t('memory.visit', { count: 4 }) → "This is visit 4."
+  t(key, vars = {}) {
+    const template = this.lookup(this.bundle.strings, key);
+    if (typeof template !== 'string') {
+      return this.fallback ? this.fallback.t(key, vars) : key;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      name in vars ? String(vars[name]) : match
+    );
+  }
+
+  has(key) {
+    return typeof this.lookup(this.bundle.strings, key) === 'string' || !!this.fallback?.has(key);
+  }
+
+  formatNumber(value, options = {}) {
+    const cacheKey = JSON.stringify(options);
+    if (!this.numberFormats.has(cacheKey)) {
+      this.numberFormats.set(cacheKey, new Intl.NumberFormat(this.code, options));
+    }
+    return this.numberFormats.get(cacheKey).format(value);
+  }
+
+  formatPercent(ratio) {
+    return this.formatNumber(ratio, { style: 'percent', maximumFractionDigits: 0 });
+  }
+
+  // lexicon('alignment.helpful') → this locale's words plus the fallback's
+  lexicon(path) {
+    if (!this.lexicons.has(path)) {
+      const own = this.lookup(this.bundle.lexicons, path) || [];
+      const inherited = this.fallback ? this.fallback.lexicon(path) : [];
+      this.lexicons.set(path, [...new Set([...inherited, ...own])]);
+    }
+    return this.lexicons.get(path);
+  }
+
+  // lexiconMap('nlp.contractions') → the fallback's entries, overridden by this locale's
+  lexiconMap(path) {
+    if (!this.lexicons.has(path)) {
+      const own = this.lookup(this.bundle.lexicons, path) || {};
+      const inherited = this.fallback ? this.fallback.lexiconMap(path) : {};
+      this.lexicons.set(path, { ...inherited, ...own });
+    }
+    return this.lexicons.get(path);
+  }
+
+  // grammar('probe') → this locale's expansions, or the fallback's if it has none
+  grammar(rule) {
+    const own = this.bundle.grammar?.[rule];
+    if (Array.isArray(own) && own.length > 0) return own;
+    return this.fallback ? this.fallback.grammar(rule) : [];
+  }
+
+  lookup(root, path) {
+    return path.split('.').reduce((node, part) => node?.[part], root);
+  }
+}
@@ -0,0 +1,41 @@
+import en from '../config/locales/en.json' with { type: 'json' };
+import es from '../config/locales/es.json' with { type: 'json' };
+import { Locale } from './Locale.js';
+
+/**
+ * Locale registry. A new language is a bundle in config/locales/
+ * plus one line in BUNDLES.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+const BUNDLES = { en, es };
+
+export function getAvailableLocales() {
+  return Object.values(BUNDLES).map(({ locale, name }) => ({ code: locale, name }));
+}
+
+// Best bundle for a list of preferences: exact tag first, then base language
+export function resolveLocale(preferred = []) {
+  for (const tag of preferred) {
+    if (!tag) continue;
+    const lower = tag.toLowerCase();
+    if (BUNDLES[lower]) return lower;
+
+    const base = lower.split('-')[0];
+    if (BUNDLES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// An explicit override wins; otherwise whatever the browser asks for
+export function detectLocale(override = null) {
+  const browser = globalThis.navigator?.languages ?? [globalThis.navigator?.language];
+  return resolveLocale([override, ...browser]);
+}
+
+export function createLocale(code = DEFAULT_LOCALE) {
+  const resolved = resolveLocale([code]);
+  const fallback = resolved === DEFAULT_LOCALE ? null : new Locale(BUNDLES[DEFAULT_LOCALE]);
+  return new Locale(BUNDLES[resolved], fallback);
+}
@@ -1,12 +1,42 @@
 import './style.css';
 import { ANSWERSPACE } from './ANSWERSPACE.js';
+import { createReplayOptions } from './core/SessionRecorder.js';
+import { fetchPack, isQuestionPack } from './questions/questionPacks.js';
+import { detectLocale, createLocale } from './i18n/locales.js';
+import { openStorage, createMemoryStorage } from './core/storage.js';
+import { isEncrypted, openEncryptedStorage } from './core/encryptedStorage.js';
+import { STORAGE_KEY } from './memory/PersistentMemory.js';
+import { PrivacyPanel } from './ui/PrivacyPanel.js';
 
 // Initialize ANSWERSPACE when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
-  const app = new ANSWERSPACE();
+  // ?mode=territories keeps the space open-ended, with no endings
+  // ?seed=<anything> reproduces the same questions and the same space
+  // ?pack=<url> adds a question pack (repeatable)
+  // ?lang=<code> overrides the browser's language
+  // ?questions=grammar mixes in questions made from the player's own words
+  // ?llm=<url> asks a completion endpoint on this machine (or this site) for follow-ups
+  const params = new URLSearchParams(window.location.search);
+  const urlPacks = await loadPacks(params.getAll('pack'));
+  const droppedPacks = new Map();
+
+  // IndexedDB where there is one; memory an older version kept in localStorage moves in
+  const locale = detectLocale(params.get('lang'));
+  const storage = await unlock(await openStorage({ adopt: [STORAGE_KEY] }));
+
+  const options = {
+    territoriesOnly: params.get('mode') === 'territories',
+    seed: params.get('seed') ?? undefined,
+    packs: urlPacks,
+    locale,
+    questionProviders: questionProviders(),
+    storage
+  };
+  let app = new ANSWERSPACE(options);
 
   try {
     await app.init();
+    listenForDrops();
     await app.start();
   } catch (error) {
     console.error('Failed to initialize ANSWERSPACE:', error);
@@ -31,8 +61,84 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
-  // Handle cleanup on page unload
-  window.addEventListener('beforeunload', () => {
+  // Memory sealed with a passphrase (see MemoryPrivacy) opens only with it. Going on
+  // without keeps this visit in memory alone, so the sealed one is never written over
+  async function unlock(storage) {
+    if (!isEncrypted(storage.getItem(STORAGE_KEY))) return storage;
+
+    const opened = await PrivacyPanel.askPassphrase(
+      passphrase => openEncryptedStorage(storage, passphrase, { keys: [STORAGE_KEY] }),
+      { locale: createLocale(locale) }
+    );
+    return opened ?? createMemoryStorage();
+  }
+
+  function questionProviders() {
+    const specs = [];
+    if (params.get('llm')) specs.push({ type: 'http', endpoint: params.get('llm') });
+    if (params.getAll('questions').includes('grammar')) specs.push({ type: 'grammar' });
+    return specs;
+  }
+
+  async function loadPacks(urls) {
+    const packs = [];
+    for (const url of urls) {
+      try {
+        packs.push(await fetchPack(url));
+      } catch (error) {
+        console.warn(error.message);
+      }
+    }
+    return packs;
+  }
+
+  async function restart(nextOptions) {
     app.dispose();
+    app = new ANSWERSPACE(nextOptions);
+    await app.init();
+    listenForDrops();
+  }
+
+  // Ctrl+Shift+S saves the session, Ctrl+Shift+E the transcript (see app.downloadTranscript),
+  // Ctrl+Shift+M shows what is remembered (also asked for in an answer)
+  // Dropping a saved session onto the page replays it; ?speed=<n> plays it back n times faster
+  // Dropping a question pack starts over with it (a newer drop of the same pack id replaces it)
+  function listenForDrops() {
+    app.ui.onFileDrop(async (data) => {
+      if (isQuestionPack(data)) {
+        droppedPacks.set(data.id, data);
+        await restart({ ...options, packs: [...urlPacks, ...droppedPacks.values()] });
+
+        if (app.core.packErrors.some(e => e.pack === data.id)) {
+          app.ui.showError('packErrors', { id: data.id });
+        }
+        await app.start();
+        return;
+      }
+
+      let replayOptions;
+      try {
+        replayOptions = createReplayOptions(data);
+      } catch (error) {
+        console.warn(error.message);
+        app.ui.showError('notRecording');
+        return;
+      }
+
+      await restart(replayOptions);
+      await app.replay(data, { speed: Number(params.get('speed')) || 1 });
+    });
+  }
+
+  // Memory is saved as the visit goes; what is still pending goes when the page is
+  // hidden, since a write started on unload is abandoned before IndexedDB lands it
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') app.saveMemory();
+  });
+
+  // A page kept in the back/forward cache may come back, so it is only saved
+  window.addEventListener('pagehide', (event) => {
+    if (event.persisted) app.saveMemory();
+    else app.dispose();
   });
 });
@@ -1,43 +1,101 @@
-import memoryConfig from '../config/memory-config.json';
+import memoryConfig from '../config/memory-config.json' with { type: 'json' };
+import { EVENTS } from '../core/EventBus.js';
+import { systemClock } from '../core/clock.js';
+import { createLocale } from '../i18n/locales.js';
+import { getTextAnalyzer } from '../nlp/TextAnalyzer.js';
+import { ClaimExtractor } from '../nlp/ClaimExtractor.js';
+
+const MAX_CLAIMS = 100;
 
 export class ConsistencyTracker {
-  constructor(contextWindow) {
+  constructor(contextWindow, { clock = systemClock, locale = createLocale() } = {}) {
     this.contextWindow = contextWindow;
+    this.clock = clock;
+    this.locale = locale;
+    this.analyzer = getTextAnalyzer(locale);
     this.config = memoryConfig.consistency;
+    this.opposites = this.readOpposites(locale.lexicon('consistency.opposites'));
     this.contradictions = [];
-    this.assertions = new Map(); // keyword -> assertion
+    this.claimExtractor = new ClaimExtractor({ locale });
+    this.claims = []; // oldest first
     this.contradictionLevel = 0;
+
+    // Earlier visits are tracked apart, with a level of their own
+    this.pastClaims = [];
+    this.pastContradictions = [];
+    this.pendingPastContradiction = null;
+    this.crossSessionLevel = 0;
+  }
+
+  connect(bus) {
+    bus.on(EVENTS.MEMORY_ADDED, ({ response, entry }) => {
+      const { claims, contradictions, pastContradictions } = this.checkResponse(response);
+      const level = this.getContradictionLevel();
+
+      for (const contradiction of contradictions) {
+        bus.emit(EVENTS.CONTRADICTION_DETECTED, { contradiction, level });
+      }
+
+      bus.emit(EVENTS.CONSISTENCY_CHECKED, {
+        response,
+        entry,
+        claims,
+        contradictions,
+        pastContradictions,
+        level,
+        crossSessionLevel: this.getCrossSessionLevel(),
+        anomalyTriggered: this.shouldTriggerSpatialAnomaly()
+      });
+    });
+  }
+
+  /**
+   * Claims from earlier visits (PersistentMemory.getPastClaims), oldest
+   * first. A later visit's claim replaces the earlier ones it contradicts,
+   * so only what the player last said on a subject is held against them.
+   */
+  rememberPastClaims(claims) {
+    this.pastClaims = [];
+    for (const claim of claims) {
+      this.pastClaims = this.pastClaims.filter(c =>
+        c.subject !== claim.subject || this.compareClaims(c, claim) < this.config.minConfidence
+      );
+      this.pastClaims.push(claim);
+    }
   }
 
   checkResponse(responseData) {
-    const text = responseData.text.toLowerCase();
+    const analysis = this.analyzer.analyze(responseData.text);
+    const claims = this.claimExtractor.extract(analysis)
+      .map(claim => ({ ...claim, responseId: responseData.id, timestamp: this.clock.now() }));
     const contradictions = [];
+    const pastContradictions = [];
+
+    // Each new claim against this session first, then against earlier visits
+    for (const claim of claims) {
+      const current = this.findContradiction(claim, this.claims);
+      if (current) {
+        contradictions.push(this.describe(current.previous, claim, current.confidence));
+        continue;
+      }
 
-    // Check for direct contradictions with previous assertions
-    for (const [topic, assertion] of this.assertions) {
-      if (text.includes(topic)) {
-        const similarity = this.calculateSimilarity(text, assertion.text);
-        const contradiction = this.detectContradiction(text, assertion.text, topic);
-        
-        if (contradiction && similarity < this.config.contradictionSensitivity) {
-          contradictions.push({
-            topic,
-            previous: assertion.text,
-            current: text,
-            severity: 1 - similarity
-          });
-        }
+      const past = this.findContradiction(claim, this.pastClaims);
+      if (past) {
+        pastContradictions.push({
+          ...this.describe(past.previous, claim, past.confidence),
+          sessionsAgo: past.previous.sessionsAgo,
+          critical: !!past.previous.critical
+        });
       }
     }
 
-    // Store new assertions
-    this.extractAssertions(responseData);
+    this.storeClaims(claims);
 
     // Update global contradiction level
     if (contradictions.length > 0) {
       this.contradictions.push(...contradictions);
       this.contradictionLevel = Math.min(
-        this.contradictionLevel + contradictions.length * 0.2,
+        this.contradictionLevel + contradictions.reduce((sum, c) => sum + c.confidence * 0.2, 0),
         1.0
       );
     } else {
@@ -45,75 +103,107 @@ export class ConsistencyTracker {
       this.contradictionLevel *= 0.95;
     }
 
-    return contradictions;
+    // The past weighs more and fades slower
+    if (pastContradictions.length > 0) {
+      this.pastContradictions.push(...pastContradictions);
+      this.pendingPastContradiction = pastContradictions
+        .reduce((best, c) => c.confidence > best.confidence ? c : best);
+      this.crossSessionLevel = Math.min(
+        this.crossSessionLevel + pastContradictions.reduce((sum, c) => sum + c.confidence * 0.4, 0),
+        1.0
+      );
+    } else {
+      this.crossSessionLevel *= 0.98;
+    }
+
+    return { claims, contradictions, pastContradictions };
   }
 
-  detectContradiction(current, previous, topic) {
-    // Simple negation detection
-    const negations = ['not', "n't", 'never', 'no', 'none', 'neither', 'nobody', 'nothing'];
-    const currentHasNegation = negations.some(neg => current.includes(neg));
-    const previousHasNegation = negations.some(neg => previous.includes(neg));
-    
-    // If one has negation and other doesn't for same topic
-    if (currentHasNegation !== previousHasNegation) {
-      return true;
+  // The claim in `claims` that `claim` most surely contradicts, if any
+  findContradiction(claim, claims) {
+    let best = null;
+    for (const previous of claims) {
+      if (previous.subject !== claim.subject) continue;
+
+      const confidence = this.compareClaims(previous, claim);
+      if (confidence >= this.config.minConfidence && confidence >= (best?.confidence ?? 0)) {
+        best = { previous, confidence };
+      }
     }
 
-    // Check for opposing sentiment words near the topic
-    const opposites = [
-      ['love', 'hate'], ['good', 'bad'], ['yes', 'no'],
-      ['true', 'false'], ['right', 'wrong'], ['always', 'never'],
-      ['everything', 'nothing'], ['can', 'cannot']
-    ];
-
-    for (const [word1, word2] of opposites) {
-      const currentHas1 = current.includes(word1);
-      const currentHas2 = current.includes(word2);
-      const previousHas1 = previous.includes(word1);
-      const previousHas2 = previous.includes(word2);
-
-      if ((currentHas1 && previousHas2) || (currentHas2 && previousHas1)) {
-        return true;
+    // The player has changed their mind; the old claim no longer stands
+    if (best) claims.splice(claims.indexOf(best.previous), 1);
+    return best;
+  }
+
+  /**
+   * How surely two claims about the same subject contradict, 0-1:
+   *   "I love my job" / "I don't love my job"   same predicate, polarity flipped
+   *   "I love my job" / "I hate my job"         opposite predicates
+   *   "I am happy"    / "I am sad"              opposite objects
+   * A verb with nothing after it covers whatever it could take, so
+   * "I never lie" meets "I always lie to people". Less sure when either
+   * side only might be so; an obligation only contradicts another
+   * obligation.
+   */
+  compareClaims(previous, current) {
+    if ((previous.modality === 'obligation') !== (current.modality === 'obligation')) return 0;
+
+    const bare = (previous.object.length === 0 || current.object.length === 0) &&
+      previous.predicate !== 'be' && current.predicate !== 'be';
+    const similarity = bare ? 1 : overlap(previous.object, current.object);
+    let confidence = 0;
+
+    if (previous.predicate === current.predicate) {
+      if (previous.polarity !== current.polarity && similarity >= 0.5) {
+        confidence = 0.5 + 0.5 * similarity;
+      } else if (previous.polarity === current.polarity && this.opposes(previous.object, current.object)) {
+        confidence = 0.7;
       }
+    } else if (previous.polarity === current.polarity && similarity >= 0.5 &&
+      this.opposes([previous.predicate], [current.predicate])) {
+      confidence = 0.4 + 0.4 * similarity;
     }
 
-    return false;
-  }
-
-  calculateSimilarity(text1, text2) {
-    const words1 = new Set(text1.split(/\s+/));
-    const words2 = new Set(text2.split(/\s+/));
-    const intersection = new Set([...words1].filter(x => words2.has(x)));
-    const union = new Set([...words1, ...words2]);
-    return intersection.size / union.size;
-  }
-
-  extractAssertions(responseData) {
-    const text = responseData.text.toLowerCase();
-    const keywords = this.contextWindow.extractKeywords?.(text) || 
-                     text.split(/\s+/).filter(w => w.length > 4);
-    
-    // Store key assertions with context
-    for (const keyword of keywords.slice(0, 5)) {
-      // Find sentence containing keyword
-      const sentences = text.split(/[.!?]+/);
-      const relevantSentence = sentences.find(s => s.includes(keyword)) || text.slice(0, 100);
-      
-      this.assertions.set(keyword, {
-        text: relevantSentence.trim(),
-        timestamp: Date.now(),
-        responseId: responseData.id
-      });
+    if (previous.modality === 'possible' || current.modality === 'possible') confidence *= 0.6;
+    return confidence;
+  }
+
+  // Opposite words across the two: "love" against "hate"
+  opposes(stems1, stems2) {
+    return stems1.some(a => stems2.some(b => this.opposites.has(`${a} ${b}`)));
+  }
+
+  describe(previous, current, confidence) {
+    const quote = claim => ({ responseId: claim.responseId, start: claim.start, end: claim.end, text: claim.text });
+    return {
+      topic: current.objectText || previous.objectText || current.predicate,
+      previous: previous.text,
+      current: current.text,
+      previousResponseId: previous.responseId,
+      currentResponseId: current.responseId,
+      confidence,
+      severity: confidence,
+      spans: { previous: quote(previous), current: quote(current) }
+    };
+  }
+
+  // Single-word opposite pairs as stems, both ways round
+  readOpposites(pairs) {
+    const opposites = new Set();
+    for (const pair of pairs) {
+      const stems = pair.map(word => this.analyzer.read(word).words.map(t => t.stem));
+      if (stems.some(s => s.length !== 1)) continue;
+      opposites.add(`${stems[0][0]} ${stems[1][0]}`);
+      opposites.add(`${stems[1][0]} ${stems[0][0]}`);
     }
+    return opposites;
+  }
 
-    // Limit stored assertions
-    if (this.assertions.size > 50) {
-      const oldest = [...this.assertions.entries()]
-        .sort((a, b) => a[1].timestamp - b[1].timestamp)
-        .slice(0, 10);
-      for (const [key] of oldest) {
-        this.assertions.delete(key);
-      }
+  storeClaims(claims) {
+    this.claims.push(...claims);
+    if (this.claims.length > MAX_CLAIMS) {
+      this.claims.splice(0, this.claims.length - MAX_CLAIMS);
     }
   }
 
@@ -121,6 +211,10 @@ export class ConsistencyTracker {
     return this.contradictionLevel;
   }
 
+  getCrossSessionLevel() {
+    return this.crossSessionLevel;
+  }
+
   getRecentContradictions() {
     return this.contradictions.slice(-3);
   }
@@ -134,9 +228,29 @@ export class ConsistencyTracker {
     const recent = this.contradictions[this.contradictions.length - 1];
     return {
       topic: recent.topic,
-      previous: recent.previous.slice(0, 50),
-      current: recent.current.slice(0, 50)
+      previous: recent.previous,
+      current: recent.current
+    };
+  }
+
+  // The most telling contradiction with an earlier visit, once
+  takePastContradictionForQuestion() {
+    const contradiction = this.pendingPastContradiction;
+    this.pendingPastContradiction = null;
+    if (!contradiction) return null;
+
+    return {
+      topic: contradiction.topic,
+      previous: contradiction.previous,
+      current: contradiction.current,
+      sessionsAgo: contradiction.sessionsAgo
     };
   }
 }
 
+// Shared stems over all stems, both sides; two empty objects agree
+function overlap(a, b) {
+  const union = new Set([...a, ...b]);
+  if (union.size === 0) return 1;
+  return a.filter((stem, i) => b.includes(stem) && a.indexOf(stem) === i).length / union.size;
+}
@@ -1,28 +1,59 @@
-import memoryConfig from '../config/memory-config.json';
+import memoryConfig from '../config/memory-config.json' with { type: 'json' };
+import { EVENTS } from '../core/EventBus.js';
+import { systemClock } from '../core/clock.js';
+import { createLocale } from '../i18n/locales.js';
+import { getTextAnalyzer } from '../nlp/TextAnalyzer.js';
+import { getTokenizer, loadTokenizer } from '../nlp/Tokenizer.js';
+import { explainScore } from '../nlp/scoring.js';
 
 export class ContextWindow {
-  constructor() {
+  constructor({ clock = systemClock, locale = createLocale() } = {}) {
     this.config = memoryConfig;
+    this.clock = clock;
+    this.locale = locale;
+    this.analyzer = getTextAnalyzer(locale);
     this.responses = [];
     this.totalTokens = 0;
     this.keywords = new Map(); // Track keyword frequencies
+    this.explanation = null; // Why the last response scored as it did
+    this.recounting = null;
+    this.bus = null;
+  }
+
+  connect(bus) {
+    this.bus = bus;
+    bus.on(EVENTS.RESPONSE_SUBMITTED, ({ response }) => {
+      const entry = this.addResponse(response);
+      this.updateDecay();
+      bus.emit(EVENTS.MEMORY_ADDED, { response, entry });
+    });
   }
 
   addResponse(responseData) {
+    const certainty = this.estimateCertainty(responseData.text);
+    const sentiment = this.analyzeSentiment(responseData.text);
     const entry = {
-      id: Date.now(),
+      id: responseData.id ?? this.clock.now(),
       text: responseData.text,
-      timestamp: Date.now(),
-      tokens: this.estimateTokens(responseData.text),
+      timestamp: this.clock.now(),
+      tokens: this.countTokens(responseData.text),
       retention: 1.0,
       keywords: this.extractKeywords(responseData.text),
       metadata: {
         length: responseData.text.length,
         complexity: this.calculateComplexity(responseData.text),
-        certainty: this.estimateCertainty(responseData.text),
-        sentiment: this.analyzeSentiment(responseData.text)
+        certainty: certainty.value,
+        sentiment: sentiment.value,
+        keystrokes: responseData.keystrokes ?? null
       }
     };
+    const { text } = this.analyzer.analyze(responseData.text); // what the spans index into
+    this.explanation = {
+      responseId: entry.id,
+      text,
+      tokens: getTokenizer()?.tokenize(text) ?? [],
+      measures: { certainty, sentiment }
+    };
 
     // Apply retention bonuses
     entry.retention = this.calculateInitialRetention(entry);
@@ -37,59 +68,86 @@ export class ContextWindow {
     return entry;
   }
 
-  estimateTokens(text) {
-    return Math.ceil(text.length * this.config.contextWindow.tokensPerCharacter);
+  // Until the tokenizer has loaded, a rough count stands in; once it has,
+  // everything held is counted again
+  countTokens(text) {
+    const tokenizer = getTokenizer();
+    if (tokenizer) return tokenizer.count(text);
+
+    this.recounting ??= loadTokenizer().then(() => this.recount());
+    return Math.ceil(text.length / 4);
+  }
+
+  recount() {
+    const tokenizer = getTokenizer();
+    for (const entry of this.responses) {
+      entry.tokens = tokenizer.count(entry.text);
+    }
+    this.totalTokens = this.responses.reduce((sum, entry) => sum + entry.tokens, 0);
+    if (this.explanation) this.explanation.tokens = tokenizer.tokenize(this.explanation.text);
+    this.enforceContextLimit();
   }
 
   extractKeywords(text) {
-    const words = text.toLowerCase().split(/\s+/);
-    const stopWords = new Set(['the', 'a', 'an', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'shall', 'can', 'need', 'dare', 'ought', 'used', 'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by', 'from', 'as', 'into', 'through', 'during', 'before', 'after', 'above', 'below', 'between', 'under', 'again', 'further', 'then', 'once', 'here', 'there', 'when', 'where', 'why', 'how', 'all', 'each', 'few', 'more', 'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than', 'too', 'very', 'just', 'and', 'but', 'if', 'or', 'because', 'until', 'while', 'although', 'though', 'after', 'before', 'when', 'whenever', 'where', 'wherever', 'whether', 'which', 'while', 'who', 'whoever', 'whom', 'whose', 'that', 'what', 'whatever', 'i', 'me', 'my', 'myself', 'we', 'our', 'ours', 'ourselves', 'you', 'your', 'yours', 'yourself', 'yourselves', 'he', 'him', 'his', 'himself', 'she', 'her', 'hers', 'herself', 'it', 'its', 'itself', 'they', 'them', 'their', 'theirs', 'themselves']);
-    return words.filter(w => w.length > 3 && !stopWords.has(w));
+    return this.analyzer.keywords(this.analyzer.analyze(text));
   }
 
   calculateComplexity(text) {
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim());
-    const words = text.split(/\s+/);
-    const avgWordsPerSentence = words.length / Math.max(sentences.length, 1);
-    const longWords = words.filter(w => w.length > 6).length;
-    const complexity = (avgWordsPerSentence / 20 + longWords / words.length) / 2;
+    const { sentences, surfaceWords } = this.analyzer.analyze(text);
+    if (surfaceWords.length === 0) return 0;
+
+    const avgWordsPerSentence = surfaceWords.length / Math.max(sentences.length, 1);
+    const longWords = surfaceWords.filter(w => w.length > 6).length;
+    const complexity = (avgWordsPerSentence / 20 + longWords / surfaceWords.length) / 2;
     return Math.min(complexity, 1);
   }
 
   estimateCertainty(text) {
-    const uncertainWords = ['maybe', 'perhaps', 'possibly', 'might', 'could', 'uncertain', 'unsure', 'think', 'believe', 'guess', 'probably', 'likely', 'seem', 'appear'];
-    const certainWords = ['definitely', 'certainly', 'absolutely', 'always', 'never', 'know', 'sure', 'certain', 'fact', 'clearly', 'obviously'];
-    const words = text.toLowerCase().split(/\s+/);
-    let uncertainCount = 0, certainCount = 0;
-    for (const word of words) {
-      if (uncertainWords.includes(word)) uncertainCount++;
-      if (certainWords.includes(word)) certainCount++;
-    }
-    const balance = (certainCount - uncertainCount) / Math.max(words.length * 0.1, 1);
-    return Math.max(0, Math.min(1, 0.5 + balance));
+    const analysis = this.analyzer.analyze(text);
+    const uncertainWords = this.locale.lexicon('context.uncertain');
+    const certainWords = this.locale.lexicon('context.certain');
+
+    // Every match counts, diluted by length; "not sure" is uncertainty, not certainty
+    const unit = 1 / Math.max(analysis.words.length * 0.1, 1);
+    const contribution = (weight) => (match) => ({ ...this.analyzer.span(analysis, match), weight });
+    const contributions = [
+      ...this.analyzer.findMatches(analysis, certainWords).map(contribution(unit)),
+      ...this.analyzer.findMatches(analysis, uncertainWords).map(contribution(-unit)),
+      ...this.analyzer.findMatches(analysis, certainWords, { polarity: 'negated' }).map(contribution(-unit))
+    ];
+
+    return explainScore(0.5, contributions, { min: 0, max: 1 });
   }
 
   analyzeSentiment(text) {
-    const positive = ['good', 'great', 'love', 'happy', 'joy', 'wonderful', 'excellent', 'beautiful', 'hope', 'peace'];
-    const negative = ['bad', 'hate', 'sad', 'angry', 'fear', 'terrible', 'awful', 'horrible', 'pain', 'suffer'];
-    const words = text.toLowerCase().split(/\s+/);
-    let score = 0;
-    for (const word of words) {
-      if (positive.includes(word)) score++;
-      if (negative.includes(word)) score--;
-    }
-    return Math.max(-1, Math.min(1, score / Math.max(words.length * 0.1, 1)));
+    const analysis = this.analyzer.analyze(text);
+    const positive = this.locale.lexicon('context.positive');
+    const negative = this.locale.lexicon('context.negative');
+
+    // Negation flips: "not good" leans negative, "not bad" positive
+    const unit = 1 / Math.max(analysis.words.length * 0.1, 1);
+    const contribution = (sign) => (match) => ({
+      ...this.analyzer.span(analysis, match),
+      weight: (match.negated ? -sign : sign) * unit
+    });
+    const contributions = [
+      ...this.analyzer.findMatches(analysis, positive, { polarity: 'any' }).map(contribution(1)),
+      ...this.analyzer.findMatches(analysis, negative, { polarity: 'any' }).map(contribution(-1))
+    ];
+
+    return explainScore(0, contributions, { min: -1, max: 1 });
   }
 
   calculateInitialRetention(entry) {
     let retention = 1.0;
-    const text = entry.text.toLowerCase();
-    for (const keyword of this.config.retention.keywordBonus) {
-      if (text.includes(keyword)) retention += this.config.retention.bonusAmount;
-    }
-    for (const keyword of this.config.retention.emotionalBonus) {
-      if (text.includes(keyword)) retention += this.config.retention.bonusAmount * 0.5;
-    }
+    const analysis = this.analyzer.analyze(entry.text);
+    const { keywordBonus, emotionalBonus, bonusAmount } = this.config.retention;
+
+    const keywords = [...keywordBonus, ...this.locale.lexicon('context.retention')];
+    const emotional = [...emotionalBonus, ...this.locale.lexicon('context.emotional')];
+    retention += this.analyzer.count(analysis, keywords, { polarity: 'any' }) * bonusAmount;
+    retention += this.analyzer.count(analysis, emotional, { polarity: 'any' }) * bonusAmount * 0.5;
+
     return Math.min(retention, 1.5);
   }
 
@@ -104,6 +162,7 @@ export class ContextWindow {
     while (this.totalTokens > limit && this.responses.length > 1) {
       const removed = this.responses.shift();
       this.totalTokens -= removed.tokens;
+      this.bus?.emit(EVENTS.MEMORY_EVICTED, { entry: removed });
     }
   }
 
@@ -140,6 +199,14 @@ export class ContextWindow {
     return Array.from(topics);
   }
 
+  getEntry(id) {
+    return this.responses.find(r => r.id === id) || null;
+  }
+
+  getRecentResponses(count = 10) {
+    return this.responses.slice(-count);
+  }
+
   getLastResponse() {
     return this.responses[this.responses.length - 1] || null;
   }
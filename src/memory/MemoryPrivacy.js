@@ -0,0 +1,101 @@
+import { createLocale } from '../i18n/locales.js';
+import { getTextAnalyzer } from '../nlp/TextAnalyzer.js';
+import { openEncryptedStorage } from '../core/encryptedStorage.js';
+import { STORAGE_KEY } from './PersistentMemory.js';
+
+/**
+ * MemoryPrivacy - What the player can see of, and do to, their memory
+ *
+ *   describe()         everything kept, visit by visit
+ *   forgetSession(id)  one visit, or this one
+ *   forgetAll()        every visit
+ *   setEphemeral(on)   keep nothing from now on (remembered as a
+ *                      preference, the only thing that is)
+ *   encrypt(phrase)    keep memory sealed under a passphrase
+ *   removeEncryption() keep it in the clear again
+ *
+ * Forgetting reaches ConsistencyTracker too: a forgotten claim is not
+ * held against the player later in the same visit.
+ */
+
+export const PRIVACY_KEY = 'answerspace_privacy';
+
+export class MemoryPrivacy {
+  constructor(persistentMemory, consistencyTracker, { locale = createLocale() } = {}) {
+    this.memory = persistentMemory;
+    this.consistencyTracker = consistencyTracker;
+    this.locale = locale;
+    this.analyzer = getTextAnalyzer(locale);
+
+    this.preferences = this.readPreferences();
+    if (this.preferences.ephemeral) {
+      this.memory.setEphemeral(true);
+      this.refreshClaims();
+    }
+  }
+
+  // "What do you remember about me?" asked as an answer
+  isMemoryRequest(text) {
+    return this.analyzer.has(this.analyzer.analyze(text), this.locale.lexicon('privacy.requests'), { polarity: 'any' });
+  }
+
+  describe() {
+    return {
+      ...this.memory.describe(),
+      encrypted: !!this.memory.storage.encrypted
+    };
+  }
+
+  async forgetSession(id) {
+    await this.memory.forgetSession(id);
+    this.refreshClaims();
+  }
+
+  async forgetAll() {
+    await this.memory.forgetAll();
+    this.refreshClaims();
+  }
+
+  async setEphemeral(ephemeral) {
+    this.preferences = { ...this.preferences, ephemeral };
+    this.writePreferences();
+    await this.memory.setEphemeral(ephemeral);
+    this.refreshClaims();
+  }
+
+  async encrypt(passphrase) {
+    if (!passphrase) throw new Error('A passphrase is needed');
+    const storage = await openEncryptedStorage(this.baseStorage(), passphrase, { keys: [STORAGE_KEY] });
+    await this.memory.setStorage(storage);
+  }
+
+  async removeEncryption() {
+    await this.memory.setStorage(this.baseStorage());
+  }
+
+  // The storage underneath any encryption
+  baseStorage() {
+    return this.memory.storage.inner ?? this.memory.storage;
+  }
+
+  refreshClaims() {
+    this.consistencyTracker?.rememberPastClaims(this.memory.getPastClaims());
+  }
+
+  readPreferences() {
+    try {
+      return JSON.parse(this.baseStorage().getItem(PRIVACY_KEY)) ?? {};
+    } catch {
+      return {};
+    }
+  }
+
+  writePreferences() {
+    const warn = error => console.warn('Failed to save privacy preferences:', error);
+    try {
+      Promise.resolve(this.baseStorage().setItem(PRIVACY_KEY, JSON.stringify(this.preferences))).catch(warn);
+    } catch (error) {
+      warn(error);
+    }
+  }
+}
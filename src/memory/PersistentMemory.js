@@ -7,34 +7,133 @@
  * "You've been here before."
  * "Last time you said..."
  * "You always hesitate at this question."
+ *
+ * What the player claimed is kept too (critical answers always, the
+ * rest up to a limit per session), so a later visit can be held to it:
+ * "Three visits ago you said you never lie."
+ *
+ * So is how each question was answered - the wait before the first
+ * keystroke, the pauses, the rewrites, the drafts given up on - by
+ * question id, so hesitation can be recognized visit after visit.
+ *
+ * Stored as one versioned JSON document (see memoryMigrations.js),
+ * kept for as many visits and days as config/memory-config.json
+ * `persistence` allows. When storage runs short the oldest visits go
+ * first, and the bus hears about it (`storage:warning`). It is saved a
+ * moment (`saveDelay`) after each answer rather than on unload, when
+ * the browser abandons an IndexedDB write before it lands.
  */
 
-const STORAGE_KEY = 'answerspace_memory';
+import memoryConfig from '../config/memory-config.json' with { type: 'json' };
+import { EVENTS } from '../core/EventBus.js';
+import { systemClock } from '../core/clock.js';
+import { getDefaultStorage } from '../core/storage.js';
+import { createRandom } from '../core/random.js';
+import { createLocale } from '../i18n/locales.js';
+import { getTextAnalyzer } from '../nlp/TextAnalyzer.js';
+import { MEMORY_VERSION, migrateMemory } from './memoryMigrations.js';
+
+export const STORAGE_KEY = 'answerspace_memory';
 const MIN_SESSIONS_FOR_PERSISTENCE = 3;
+const THEMES = ['identity', 'meaning', 'freedom', 'connection', 'uncertainty'];
+const MAX_CLAIMS_PER_SESSION = 20; // besides those made in critical answers
+const DAY = 24 * 60 * 60 * 1000;
 
 export class PersistentMemory {
-  constructor() {
+  constructor({
+    storage = getDefaultStorage(),
+    clock = systemClock,
+    random = createRandom(),
+    locale = createLocale(),
+    retention = {}
+  } = {}) {
+    this.storage = storage;
+    this.config = memoryConfig.persistence;
+    // 0 days keeps visits for as long as there is room
+    this.retention = {
+      sessions: this.config.retainSessions,
+      days: this.config.retainDays,
+      ...retention
+    };
+    this.clock = clock;
+    this.random = random;
+    this.locale = locale;
+    this.analyzer = getTextAnalyzer(locale);
     this.currentSession = {
-      id: Date.now(),
-      startTime: Date.now(),
+      id: this.clock.now(),
+      startTime: this.clock.now(),
+      seed: null,
       responses: [],
       territories: [],
-      criticalMoments: []
+      criticalMoments: [],
+      claims: [],
+      keystrokes: {},
+      ending: null
     };
     
     this.pastSessions = [];
     this.totalSessions = 0;
     this.isActive = false;
+    this.currentQuestion = null;
+    this.readOnly = false;
+    this.ephemeral = false;
+    this.warnedAboutQuota = false;
+    this.checkingQuota = false;
+    this.saveTimer = null;
+    this.bus = null;
     
     this.load();
+    this.currentSession.number = this.totalSessions;
+  }
+
+  connect(bus) {
+    this.bus = bus;
+
+    bus.on(EVENTS.QUESTION_SHOWN, ({ question }) => {
+      this.currentQuestion = question;
+    });
+
+    bus.on(EVENTS.CONSISTENCY_CHECKED, ({ claims }) => {
+      this.recordClaims(claims);
+    });
+
+    bus.on(EVENTS.TERRITORY_CHANGED, ({ state, response }) => {
+      if (!response) return;
+
+      // Record for cross-session continuity
+      this.recordResponse(response, { territory: state.territory });
+
+      if (this.currentQuestion?.critical) {
+        this.recordCriticalMoment(this.currentQuestion.id, response.text);
+      }
+
+      if (response.keystrokes) this.recordKeystrokes(this.currentQuestion, response.keystrokes);
+      this.scheduleSave();
+    });
+
+    // A draft left unsent is an answer abandoned
+    bus.on(EVENTS.SILENCE, ({ draft }) => {
+      if (draft?.keystrokes) {
+        this.recordKeystrokes(this.currentQuestion, draft.keystrokes, { abandoned: true });
+        this.scheduleSave();
+      }
+    });
   }
 
   load() {
     try {
-      const stored = localStorage.getItem(STORAGE_KEY);
+      const stored = this.storage.getItem(STORAGE_KEY);
       if (stored) {
-        const data = JSON.parse(stored);
-        this.pastSessions = data.sessions || [];
+        const parsed = JSON.parse(stored);
+
+        // A newer build's memory can't be read here, and is never overwritten
+        if ((parsed.version ?? 1) > MEMORY_VERSION) {
+          this.readOnly = true;
+          throw new Error(`stored version ${parsed.version} is newer than ${MEMORY_VERSION}`);
+        }
+
+        const data = migrateMemory(parsed);
+        this.pastSessions = data.sessions;
         this.totalSessions = data.totalSessions || 0;
         
         // Activate if enough sessions
@@ -50,38 +149,128 @@ export class PersistentMemory {
   }
 
   save() {
+    this.cancelSave();
+
+    // Ephemeral memory lives and dies with the page
+    if (this.readOnly || this.ephemeral) return Promise.resolve();
+
+    let written;
     try {
-      // Keep only last 10 sessions for storage limits
-      const sessionsToKeep = [...this.pastSessions, this.currentSession].slice(-10);
-      
-      const data = {
-        totalSessions: this.totalSessions,
-        sessions: sessionsToKeep.map(s => this.compressSession(s)),
-        lastVisit: Date.now()
-      };
-      
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+      written = this.storage.setItem(STORAGE_KEY, JSON.stringify(this.serialize()));
     } catch (error) {
-      console.warn('Failed to save persistent memory:', error);
+      this.onSaveFailed(error);
+      return Promise.resolve();
+    }
+
+    // IndexedDB writes land later; a failure there counts the same
+    return Promise.resolve(written).then(() => this.checkQuota(), error => this.onSaveFailed(error));
+  }
+
+  // Answers come in bursts; one save once they settle covers them all
+  scheduleSave() {
+    this.cancelSave();
+    this.saveTimer = setTimeout(() => this.save(), this.config.saveDelay);
+  }
+
+  cancelSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+  }
+
+  // This visit is only written, and counted, once it has an answer or an ending
+  serialize() {
+    const counted = this.hasContent();
+    const sessions = counted ? [...this.pastSessions, this.compressSession(this.currentSession)] : this.pastSessions;
+    return {
+      version: MEMORY_VERSION,
+      totalSessions: counted ? this.totalSessions : this.totalSessions - 1,
+      sessions: this.retain(sessions),
+      lastVisit: this.clock.now()
+    };
+  }
+
+  // A page left at once or restarted by a drop is no visit
+  hasContent() {
+    return this.currentSession.responses.length > 0 || this.currentSession.ending !== null;
+  }
+
+  // The newest sessions the retention limits allow
+  retain(sessions) {
+    const { sessions: max, days } = this.retention;
+    const since = days > 0 ? this.clock.now() - days * DAY : -Infinity;
+    return sessions.filter(s => s.startTime >= since).slice(-max);
+  }
+
+  onSaveFailed(error) {
+    // Out of room: give up the oldest half of the visits rather than this one
+    const kept = Math.min(this.retention.sessions, this.pastSessions.length + 1);
+    if (isQuotaError(error) && kept > 1) {
+      this.retention = { ...this.retention, sessions: Math.floor(kept / 2) };
+      this.warn({ reason: 'full', retainSessions: this.retention.sessions, error });
+      this.save();
+      return;
+    }
+
+    this.warn({ reason: 'failed', error });
+  }
+
+  // Warns once a session when the origin's storage is nearly used up
+  async checkQuota() {
+    if (this.warnedAboutQuota || this.checkingQuota) return;
+
+    this.checkingQuota = true;
+    try {
+      const estimate = await this.storage.estimate?.();
+      if (!estimate?.quota || estimate.usage / estimate.quota < this.config.quotaWarning) return;
+
+      this.warnedAboutQuota = true;
+      this.warn({ reason: 'pressure', usage: estimate.usage, quota: estimate.quota });
+    } finally {
+      this.checkingQuota = false;
     }
   }
 
+  warn(details) {
+    console.warn(`Persistent memory storage: ${details.reason}`, details);
+    this.bus?.emit(EVENTS.STORAGE_WARNING, details);
+  }
+
   compressSession(session) {
     // Keep only essential data to save space
     return {
       id: session.id,
+      number: session.number,
       startTime: session.startTime,
+      seed: session.seed ?? null,
       responseCount: session.responses?.length || 0,
       keywords: this.extractKeywords(session.responses || []),
       finalTerritory: session.territories?.[session.territories.length - 1] || 'CENTER',
       criticalMoments: session.criticalMoments || [],
-      themes: this.extractThemes(session.responses || [])
+      claims: this.compressClaims(session.claims || []),
+      keystrokes: session.keystrokes || {},
+      themes: this.extractThemes(session.responses || []),
+      ending: session.ending || null
     };
   }
 
+  // Every critical claim, and the latest of the others
+  compressClaims(claims) {
+    const kept = new Set([
+      ...claims.filter(c => c.critical),
+      ...claims.filter(c => !c.critical).slice(-MAX_CLAIMS_PER_SESSION)
+    ]);
+
+    return claims
+      .filter(c => kept.has(c))
+      .map(({ subject, predicate, object, objectText, polarity, modality, text, responseId, start, end, critical, questionId }) => ({
+        subject, predicate, object, objectText, polarity, modality, text, responseId, start, end,
+        ...(critical && { critical, questionId })
+      }));
+  }
+
   extractKeywords(responses) {
-    const allWords = responses.flatMap(r => 
-      r.text?.toLowerCase().split(/\s+/).filter(w => w.length > 4) || []
+    const allWords = responses.flatMap(r =>
+      this.analyzer.keywords(this.analyzer.read(r.text || '')).filter(w => w.length > 4)
     );
     
     const counts = {};
@@ -97,22 +286,13 @@ export class PersistentMemory {
 
   extractThemes(responses) {
     const themes = [];
-    const allText = responses.map(r => r.text || '').join(' ').toLowerCase();
-    
-    const themePatterns = [
-      { theme: 'identity', patterns: ['who am i', 'what am i', 'self', 'identity', 'consciousness'] },
-      { theme: 'meaning', patterns: ['meaning', 'purpose', 'why', 'reason', 'exist'] },
-      { theme: 'freedom', patterns: ['free', 'choice', 'control', 'decide', 'will'] },
-      { theme: 'connection', patterns: ['feel', 'emotion', 'understand', 'relate', 'human'] },
-      { theme: 'uncertainty', patterns: ['don\'t know', 'uncertain', 'maybe', 'perhaps', 'wonder'] }
-    ];
+    const analyses = responses.map(r => this.analyzer.read(r.text || ''));
     
-    for (const { theme, patterns } of themePatterns) {
-      for (const pattern of patterns) {
-        if (allText.includes(pattern)) {
-          themes.push(theme);
-          break;
-        }
+    // A theme is present even when denied: "I'm not afraid" is still about fear
+    for (const theme of THEMES) {
+      const patterns = this.locale.lexicon(`memory.themes.${theme}`);
+      if (analyses.some(analysis => this.analyzer.has(analysis, patterns, { polarity: 'any' }))) {
+        themes.push(theme);
       }
     }
     
@@ -122,21 +302,107 @@ export class PersistentMemory {
   recordResponse(responseData, metadata) {
     this.currentSession.responses.push({
       text: responseData.text,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       territory: metadata.territory
     });
     
     this.currentSession.territories.push(metadata.territory);
   }
 
+  recordClaims(claims) {
+    const question = this.currentQuestion;
+    for (const claim of claims) {
+      this.currentSession.claims.push(question?.critical
+        ? { ...claim, critical: true, questionId: question.id }
+        : claim);
+    }
+  }
+
+  recordKeystrokes(question, keystrokes, { abandoned = false } = {}) {
+    if (!question) return;
+
+    // Drafts given up on add up over the times a question is met
+    const earlier = this.currentSession.keystrokes[question.id];
+    this.currentSession.keystrokes[question.id] = {
+      question: question.text.slice(0, 100),
+      firstKey: keystrokes.firstKey,
+      composeTime: keystrokes.composeTime,
+      pauses: keystrokes.pauses,
+      rewrites: keystrokes.rewrites,
+      abandonedDrafts: (earlier?.abandonedDrafts ?? 0) + keystrokes.abandonedDrafts + (abandoned ? 1 : 0),
+      hesitation: Math.round(keystrokes.hesitation * 100) / 100,
+      ...(abandoned && { abandoned })
+    };
+  }
+
+  /**
+   * How a question was answered on earlier visits, oldest first, each
+   * with how many visits ago.
+   */
+  getKeystrokeHistory(questionId) {
+    return this.pastSessions
+      .filter(session => session.keystrokes?.[questionId])
+      .map(session => ({ ...session.keystrokes[questionId], sessionsAgo: this.totalSessions - session.number }));
+  }
+
+  // The question hesitated at on the most visits (two at least), as it was asked
+  findHesitantQuestion() {
+    const { hesitantAt } = memoryConfig.keystrokes;
+    const counts = new Map();
+    for (const session of this.pastSessions) {
+      for (const [id, record] of Object.entries(session.keystrokes || {})) {
+        if (record.hesitation < hesitantAt && !record.abandoned) continue;
+        const count = counts.get(id);
+        counts.set(id, { text: record.question, visits: (count?.visits ?? 0) + 1 });
+      }
+    }
+
+    const [top] = [...counts.values()].filter(c => c.visits >= 2).sort((a, b) => b.visits - a.visits);
+    return top?.text ?? null;
+  }
+
+  /**
+   * Claims from earlier visits, oldest first, each with how many visits
+   * ago it was made. Nothing until memory is active.
+   */
+  getPastClaims() {
+    if (!this.isActive) return [];
+
+    return this.pastSessions.flatMap(session =>
+      (session.claims || []).map(claim => ({ ...claim, sessionsAgo: this.totalSessions - session.number }))
+    );
+  }
+
   recordCriticalMoment(questionId, response) {
     this.currentSession.criticalMoments.push({
       questionId,
       responseSnippet: response.slice(0, 100),
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
   }
 
+  // The world seed, so a session can be reproduced from its record
+  setSeed(seed) {
+    this.currentSession.seed = seed;
+  }
+
+  recordEnding(endingType) {
+    this.currentSession.ending = endingType;
+    // Save immediately - the page may be closed during the epilogue
+    this.save();
+  }
+
+  getEndingsReached() {
+    const counts = {};
+    const endings = [...this.pastSessions, this.currentSession]
+      .map(s => s.ending)
+      .filter(Boolean);
+    for (const ending of endings) {
+      counts[ending] = (counts[ending] || 0) + 1;
+    }
+    return counts;
+  }
+
   // Generate memory-aware prompts for late-game
   getMemoryPrompt() {
     if (!this.isActive || this.pastSessions.length === 0) {
@@ -147,9 +413,9 @@ export class PersistentMemory {
     
     // Session count awareness
     if (this.totalSessions === MIN_SESSIONS_FOR_PERSISTENCE) {
-      prompts.push("You've been here before.");
+      prompts.push(this.locale.t('memory.returning'));
     } else if (this.totalSessions > 5) {
-      prompts.push(`This is visit ${this.totalSessions}.`);
+      prompts.push(this.locale.t('memory.visit', { count: this.locale.formatNumber(this.totalSessions) }));
     }
     
     // Recurring themes
@@ -160,14 +426,7 @@ export class PersistentMemory {
     }
     const dominantTheme = Object.entries(themeCounts).sort((a, b) => b[1] - a[1])[0];
     if (dominantTheme && dominantTheme[1] >= 2) {
-      const themeMessages = {
-        identity: "You often return to questions of identity.",
-        meaning: "Meaning seems to preoccupy you.",
-        freedom: "Freedom is a recurring concern.",
-        connection: "You seek connection.",
-        uncertainty: "You embrace uncertainty."
-      };
-      prompts.push(themeMessages[dominantTheme[0]]);
+      prompts.push(this.locale.t(`memory.themes.${dominantTheme[0]}`));
     }
     
     // Recurring keywords
@@ -180,10 +439,91 @@ export class PersistentMemory {
       .filter(([w, c]) => c >= 3)
       .sort((a, b) => b[1] - a[1])[0];
     if (recurringWord) {
-      prompts.push(`You often mention "${recurringWord[0]}".`);
+      prompts.push(this.locale.t('memory.recurringWord', { word: recurringWord[0] }));
+    }
+
+    // How they answer, not only what
+    const hesitantQuestion = this.findHesitantQuestion();
+    if (hesitantQuestion) {
+      prompts.push(this.locale.t('memory.hesitation', { question: this.locale.t('quote', { text: hesitantQuestion }) }));
+    }
+    const rewritingVisits = this.pastSessions.filter(s =>
+      Object.values(s.keystrokes || {}).reduce((sum, k) => sum + k.rewrites + k.abandonedDrafts, 0) >= memoryConfig.keystrokes.rewritingAt
+    ).length;
+    if (rewritingVisits >= 2) {
+      prompts.push(this.locale.t('memory.rewriting'));
     }
     
-    return prompts.length > 0 ? prompts[Math.floor(Math.random() * prompts.length)] : null;
+    return prompts.length > 0 ? this.random.pick(prompts) : null;
+  }
+
+  /**
+   * Everything kept about the player, as they would read it: each
+   * visit (this one last) with what was taken from it.
+   */
+  describe() {
+    const sessions = [...this.pastSessions, this.compressSession(this.currentSession)];
+    return {
+      ephemeral: this.ephemeral,
+      totalSessions: this.totalSessions,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        number: session.number,
+        startTime: session.startTime,
+        current: session.id === this.currentSession.id,
+        responseCount: session.responseCount,
+        keywords: session.keywords || [],
+        themes: session.themes || [],
+        criticalMoments: (session.criticalMoments || []).map(m => m.responseSnippet),
+        claims: (session.claims || []).map(c => c.text),
+        hesitations: Object.values(session.keystrokes || {})
+          .filter(k => k.hesitation >= memoryConfig.keystrokes.hesitantAt || k.abandoned)
+          .map(k => k.question),
+        ending: session.ending
+      }))
+    };
+  }
+
+  // One visit gone; this one starts over from nothing
+  forgetSession(id) {
+    if (id === this.currentSession.id) {
+      this.clearCurrentSession();
+    } else {
+      this.pastSessions = this.pastSessions.filter(s => s.id !== id);
+    }
+    return this.save();
+  }
+
+  // Every visit gone, this one included; the count starts again too
+  forgetAll() {
+    this.pastSessions = [];
+    this.clearCurrentSession();
+    this.totalSessions = 1;
+    this.currentSession.number = 1;
+    this.isActive = false;
+    return Promise.resolve(this.storage.removeItem(STORAGE_KEY));
+  }
+
+  clearCurrentSession() {
+    Object.assign(this.currentSession, {
+      responses: [],
+      territories: [],
+      criticalMoments: [],
+      claims: [],
+      keystrokes: {}
+    });
+  }
+
+  // Ephemeral: forget everything kept, and keep nothing until switched back
+  setEphemeral(ephemeral) {
+    this.ephemeral = ephemeral;
+    return ephemeral ? this.forgetAll() : this.save();
+  }
+
+  // Where memory is kept from now on (an encrypted wrapper, or back out of one)
+  setStorage(storage) {
+    this.storage = storage;
+    return this.save();
   }
 
   getSessionCount() {
@@ -195,7 +535,11 @@ export class PersistentMemory {
   }
 
   endSession() {
-    this.save();
+    return this.save();
   }
 }
 
+// Browsers name it differently; Firefox once used its own name, old WebKit only the code
+function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error?.code === 22;
+}
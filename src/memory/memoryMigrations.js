@@ -0,0 +1,59 @@
+/**
+ * What PersistentMemory stores, version by version
+ *
+ *   1  (no `version` field) { totalSessions, sessions, lastVisit }.
+ *      At most ten sessions; claims only from newer builds.
+ *   2  adds `version`, and each session's visit `number`, so "three
+ *      visits ago" survives older sessions being let go.
+ *   3  adds each session's `keystrokes`: how each question was answered
+ *      (see core/keystrokes.js), by question id.
+ *
+ * migrateMemory() brings any older blob up to MEMORY_VERSION, one step
+ * at a time. A new shape is a new version and one more step here.
+ */
+
+export const MEMORY_VERSION = 3;
+
+const MIGRATIONS = {
+  1: (data) => {
+    const sessions = Array.isArray(data.sessions) ? data.sessions : [];
+    const total = Math.max(data.totalSessions || 0, sessions.length);
+
+    return {
+      version: 2,
+      totalSessions: total,
+      lastVisit: data.lastVisit ?? null,
+      // Sessions were kept contiguous and newest last
+      sessions: sessions.map((session, i) => ({
+        keywords: [],
+        themes: [],
+        criticalMoments: [],
+        claims: [],
+        ending: null,
+        ...session,
+        number: total - sessions.length + i + 1
+      }))
+    };
+  },
+
+  2: (data) => ({
+    ...data,
+    version: 3,
+    sessions: data.sessions.map(session => ({ keystrokes: {}, ...session }))
+  })
+};
+
+export function migrateMemory(data) {
+  let migrated = data;
+  let version = migrated.version ?? 1;
+
+  if (version > MEMORY_VERSION) {
+    throw new Error(`Persistent memory is version ${version}, newer than this build (${MEMORY_VERSION})`);
+  }
+
+  while (version < MEMORY_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.version;
+  }
+  return migrated;
+}
@@ -0,0 +1,276 @@
+import { createLocale } from '../i18n/locales.js';
+import { getTextAnalyzer } from './TextAnalyzer.js';
+
+/**
+ * ClaimExtractor - What an answer says, as simple statements
+ *
+ * Reads each clause of each (non-question) sentence as
+ *
+ *   subject    a pronoun ("i", "they"), the head of a noun phrase
+ *              ("my job" → job), or the locale's implicit subject
+ *              where verbs carry it ("no soy feliz")
+ *   predicate  the verb's stem, or 'be' for a copula - unless a
+ *              progressive follows it ("I am leaving" → leave)
+ *   object     what is left of the clause, kept as text and as stems
+ *   polarity   false when a negator sits before the verb or opens the
+ *              object ("I have no friends")
+ *   modality   'asserted', 'possible', 'certain' or 'obligation',
+ *              from modals and adverbs ("maybe", "must")
+ *
+ * Framing verbs wrap the claim they introduce: "I don't think I'm
+ * happy" is the claim "I'm happy", negated and only possible. No
+ * parsing beyond that; a clause that doesn't fit is no claim at all.
+ *
+ * Offsets are in the analysis' normalized text, so the span can be
+ * quoted exactly.
+ */
+
+const MAX_SUBJECT = 3; // words in a noun-phrase subject, determiners aside
+
+export class ClaimExtractor {
+  constructor({ locale = createLocale() } = {}) {
+    this.locale = locale;
+    this.analyzer = getTextAnalyzer(locale);
+
+    // Closed word classes match by form, verbs by stem
+    this.pronouns = this.sequences(Object.entries(locale.lexiconMap('claims.pronouns')));
+    this.determiners = this.sequences(locale.lexicon('claims.determiners'));
+    this.auxiliaries = this.sequences(locale.lexicon('claims.auxiliaries'));
+    this.modals = this.sequences(Object.entries(locale.lexiconMap('claims.modals')));
+    this.complementizers = this.sequences(locale.lexicon('claims.complementizers'));
+    this.fillers = this.sequences(locale.lexicon('claims.fillers'));
+    this.breakers = new Set(locale.lexicon('claims.breakers'));
+    this.copulas = new Set(locale.lexicon('claims.copulas').map(word => this.analyzer.stem(word)));
+    this.framing = new Map(Object.entries(locale.lexiconMap('claims.framing'))
+      .map(([verb, modality]) => [this.analyzer.stem(verb), modality]));
+    this.progressive = locale.lexicon('claims.progressiveSuffixes');
+    this.implicitSubject = locale.lexicon('claims.implicitSubject')[0] ?? null;
+    this.stopWords = this.analyzer.stopWords;
+  }
+
+  /**
+   * @returns {{ subject: string, predicate: string, object: string[], objectText: string,
+   *   polarity: boolean, modality: string, text: string, start: number, end: number }[]}
+   */
+  extract(analysis) {
+    const claims = [];
+
+    for (const clause of this.clauses(analysis)) {
+      const claim = this.read(clause);
+      if (!claim) continue;
+
+      const first = clause[claim.from];
+      const last = clause[clause.length - 1];
+      const object = clause[claim.objectFrom];
+      claims.push({
+        subject: claim.subject,
+        predicate: claim.predicate,
+        object: claim.object,
+        objectText: object ? analysis.text.slice(object.start, last.end) : '',
+        polarity: claim.polarity,
+        modality: claim.modality,
+        text: analysis.text.slice(first.start, last.end),
+        start: first.start,
+        end: last.end
+      });
+    }
+
+    return claims;
+  }
+
+  // Runs of words between punctuation and conjunctions; questions claim nothing
+  clauses(analysis) {
+    const clauses = [];
+    let current = [];
+
+    const close = () => {
+      if (current.length > 0) clauses.push(current);
+      current = [];
+    };
+
+    for (const token of analysis.tokens) {
+      const sentence = analysis.sentences[token.sentence];
+      if (sentence.includes('?')) continue;
+
+      if (token.punctuation || this.analyzer.scopeBreakers.has(token.norm) || this.breakers.has(token.norm)) {
+        close();
+      } else {
+        current.push(token);
+      }
+    }
+    close();
+
+    return clauses;
+  }
+
+  read(words, from = this.skip(words, 0, this.fillers)) {
+    const state = { polarity: true, modality: 'asserted' };
+
+    let i = this.modifiers(words, from, state);
+    const subject = this.subject(words, i);
+    if (!subject) return null;
+    i = this.modifiers(words, subject.next, state);
+
+    // The last auxiliary stands in for a verb that never comes ("I do")
+    let auxiliary = null;
+    while (i < words.length) {
+      const length = this.matchAt(words, i, this.auxiliaries);
+      if (!length) break;
+      auxiliary = words[i];
+      i = this.modifiers(words, i + length, state);
+    }
+
+    const verb = words[i] ?? auxiliary;
+    if (!verb || verb.negator || (words[i] && this.isNominal(words, i))) return null;
+    if (words[i]) i++;
+
+    let predicate = verb.stem;
+    if (this.copulas.has(verb.stem)) {
+      i = this.modifiers(words, i, state);
+      const next = words[i];
+      predicate = next && this.isProgressive(next) ? (i++, next.stem) : 'be';
+    }
+
+    // "I think (that) ..." - the claim is what's thought
+    if (this.framing.has(predicate) && i < words.length) {
+      const inner = this.read(words, this.skip(words, i, this.complementizers));
+      if (inner) {
+        return {
+          ...inner,
+          from,
+          polarity: inner.polarity === state.polarity,
+          modality: inner.modality === 'asserted' ? this.framing.get(predicate) : inner.modality
+        };
+      }
+    }
+
+    // "I have no friends": the negator opens the object
+    if (words[i]?.negator) {
+      state.polarity = !state.polarity;
+      i++;
+    }
+
+    return {
+      from,
+      objectFrom: i,
+      subject: subject.key,
+      predicate,
+      object: this.content(words, i),
+      polarity: state.polarity,
+      modality: state.modality
+    };
+  }
+
+  // Stems of the words that carry meaning, from word i on ("sometimes" carries none)
+  content(words, i) {
+    const stems = [];
+    while (i < words.length) {
+      const filler = this.matchAt(words, i, this.fillers);
+      if (filler) {
+        i += filler;
+        continue;
+      }
+      const token = words[i++];
+      if (!token.negator && !this.stopWords.has(token.norm)) stems.push(token.stem);
+    }
+    return stems;
+  }
+
+  subject(words, i) {
+    if (i >= words.length) return null;
+
+    const pronoun = this.matchAt(words, i, this.pronouns, true);
+    if (pronoun) return { key: pronoun.value, next: i + pronoun.length };
+
+    // "my (best) friend is ...": the head is the last word before the verb
+    const start = this.skip(words, i, this.determiners);
+    const determined = start > i;
+    let j = start;
+    const head = [];
+    while (j < words.length && head.length < MAX_SUBJECT && !this.opensPredicate(words, j)) {
+      head.push(words[j++]);
+    }
+
+    if (head.length > 0 && j < words.length && (determined || head.length === 1)) {
+      const noun = head[head.length - 1];
+      if (!this.isFunctionWord(noun)) return { key: noun.stem, next: j };
+    }
+    if (determined && words[start] && !this.isFunctionWord(words[start])) {
+      return { key: words[start].stem, next: start + 1 };
+    }
+
+    return this.implicitSubject ? { key: this.implicitSubject, next: i } : null;
+  }
+
+  // Negators, modals and fillers between subject and verb
+  modifiers(words, i, state) {
+    while (i < words.length) {
+      const token = words[i];
+      if (token.negator) {
+        state.polarity = !state.polarity;
+        i++;
+        continue;
+      }
+
+      const modal = this.matchAt(words, i, this.modals, true);
+      if (modal) {
+        if (modal.value !== 'asserted') state.modality = modal.value;
+        i += modal.length;
+        continue;
+      }
+
+      const filler = this.matchAt(words, i, this.fillers);
+      if (!filler) break;
+      i += filler;
+    }
+    return i;
+  }
+
+  opensPredicate(words, i) {
+    const token = words[i];
+    return token.negator || this.copulas.has(token.stem) ||
+      !!this.matchAt(words, i, this.auxiliaries) || !!this.matchAt(words, i, this.modals);
+  }
+
+  isNominal(words, i) {
+    return !!this.matchAt(words, i, this.pronouns) || !!this.matchAt(words, i, this.determiners);
+  }
+
+  isFunctionWord(token) {
+    return token.negator || (this.stopWords.has(token.norm) && !this.copulas.has(token.stem));
+  }
+
+  isProgressive(token) {
+    return this.progressive.some(suffix => token.norm.length > suffix.length + 2 && token.norm.endsWith(suffix));
+  }
+
+  skip(words, i, entries) {
+    let length;
+    while (i < words.length && (length = this.matchAt(words, i, entries))) i += length;
+    return i;
+  }
+
+  /**
+   * The longest entry starting at word i: its length, or with
+   * `withValue` { length, value }. 0 / null when none does.
+   */
+  matchAt(words, i, entries, withValue = false) {
+    for (const { forms, value } of entries) {
+      if (forms.every((form, j) => words[i + j]?.norm === form)) {
+        return withValue ? { length: forms.length, value } : forms.length;
+      }
+    }
+    return withValue ? null : 0;
+  }
+
+  // Lexicon entries as word-form sequences, longest first
+  sequences(entries) {
+    return entries
+      .map(entry => {
+        const [text, value] = Array.isArray(entry) ? entry : [entry, entry];
+        return { forms: this.analyzer.read(text).words.map(t => t.norm), value };
+      })
+      .filter(({ forms }) => forms.length > 0)
+      .sort((a, b) => b.forms.length - a.forms.length);
+  }
+}
@@ -0,0 +1,288 @@
+import { createLocale } from '../i18n/locales.js';
+import { getStemmer } from './stemmers.js';
+
+/**
+ * TextAnalyzer - How the space reads an answer
+ *
+ * One reading shared by every analyzer, instead of each one asking
+ * `text.includes(word)` - which hears "no" in "know", "can" in
+ * "cannot" and "i" in nearly everything.
+ *
+ *   tokens     words at word boundaries, contractions expanded
+ *              ("can't" → can not), lemmatized and stemmed
+ *   sentences  split on terminal punctuation, minding abbreviations
+ *   negation   words after a negator are negated until the clause
+ *              ends ("I don't think this is good, but..." → think,
+ *              this, good); the host of "n't" is negated too
+ *   phrases    lexicon entries are read the same way and matched as
+ *              token sequences by stem
+ *   spans      every token keeps its offsets in the (normalized) text,
+ *              so a score can point at the words that moved it
+ *
+ * Matches skip negated occurrences unless asked not to, so "I would
+ * never harm anyone" is not heard as harm. Entries that are negations
+ * themselves ("don't know", "no") always match.
+ */
+
+const NEGATION_WINDOW = 6; // words a negator reaches, at most
+const CACHE_SIZE = 32;
+
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*|[.,;:!?¿¡…]+/gu;
+const CLAUSE_END = /^[.,;:!?…]+$/;
+const SENTENCE_END = /[.!?…]$/;
+
+const analyzers = new WeakMap();
+
+// One analyzer (and one cache) per locale
+export function getTextAnalyzer(locale = createLocale()) {
+  if (!analyzers.has(locale)) {
+    analyzers.set(locale, new TextAnalyzer(locale));
+  }
+  return analyzers.get(locale);
+}
+
+export class TextAnalyzer {
+  constructor(locale) {
+    this.locale = locale;
+    this.stemmer = getStemmer(locale.code);
+
+    this.negations = new Set(locale.lexicon('nlp.negations'));
+    this.scopeBreakers = new Set(locale.lexicon('nlp.scopeBreakers'));
+    this.abbreviations = new Set(locale.lexicon('nlp.abbreviations'));
+    this.contractions = locale.lexiconMap('nlp.contractions');
+    this.clitics = Object.entries(locale.lexiconMap('nlp.clitics'))
+      .sort((a, b) => b[0].length - a[0].length);
+    this.lemmas = locale.lexiconMap('nlp.lemmas');
+    this.stopWords = new Set(locale.lexicon('context.stopWords'));
+
+    this.cache = new Map();
+    this.phrases = new Map();
+  }
+
+  /**
+   * @returns {{
+   *   text: string,
+   *   tokens: { surface: string, norm: string, stem: string, sentence: number, start: number, end: number, negated: boolean, negator: boolean }[],
+   *   words: Object[],
+   *   sentences: string[],
+   *   surfaceWords: string[],
+   *   isQuestion: boolean
+   * }}
+   */
+  analyze(text = '') {
+    if (this.cache.has(text)) return this.cache.get(text);
+
+    const analysis = this.read(text);
+    this.cache.set(text, analysis);
+    if (this.cache.size > CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return analysis;
+  }
+
+  read(text) {
+    const normalized = text.normalize('NFC').replace(/[‘’]/g, "'");
+    const sentences = this.splitSentences(normalized);
+    const tokens = [];
+    const surfaceWords = [];
+    let cursor = 0;
+
+    sentences.forEach((sentence, index) => {
+      const offset = normalized.indexOf(sentence, cursor);
+      cursor = offset + sentence.length;
+
+      for (const { 0: match, index: at } of sentence.matchAll(WORD)) {
+        const start = offset + at;
+        if (CLAUSE_END.test(match) || /^[¿¡]+$/.test(match)) {
+          tokens.push({
+            surface: match, norm: match, stem: match, sentence: index,
+            start, end: start + match.length, punctuation: true
+          });
+          continue;
+        }
+
+        surfaceWords.push(match);
+        tokens.push(...this.expand(match, index, start));
+      }
+    });
+
+    this.markNegation(tokens);
+
+    return {
+      text: normalized,
+      tokens,
+      words: tokens.filter(t => !t.punctuation),
+      sentences,
+      surfaceWords,
+      isQuestion: /\?/.test(normalized)
+    };
+  }
+
+  splitSentences(text) {
+    const sentences = [];
+    let current = '';
+
+    for (const { 0: piece, index } of text.matchAll(/[^.!?…]+[.!?…]*/g)) {
+      current += piece;
+
+      // "e.g.", "3.14" and "Dr." do not end a sentence
+      const next = text[index + piece.length];
+      const lastWord = current.trim().split(/\s+/).pop().toLowerCase().replace(/[.!?…]+$/, '');
+      const ends = SENTENCE_END.test(piece) && (next === undefined || /\s/.test(next));
+      if (ends && !this.abbreviations.has(lastWord)) {
+        sentences.push(current.trim());
+        current = '';
+      }
+    }
+
+    if (current.trim()) sentences.push(current.trim());
+    return sentences;
+  }
+
+  // One surface word → one or more tokens
+  expand(surface, sentence, start = 0) {
+    const lower = surface.toLocaleLowerCase(this.locale.code);
+    let parts = null;
+
+    if (this.contractions[lower] !== undefined) {
+      parts = this.contractions[lower].split(' ');
+    } else {
+      for (const [clitic, replacement] of this.clitics) {
+        if (lower.length > clitic.length && lower.endsWith(clitic)) {
+          parts = [lower.slice(0, -clitic.length), ...(replacement ? [replacement] : [])];
+          break;
+        }
+      }
+    }
+
+    return (parts || [lower]).map((norm, i) => ({
+      surface,
+      norm,
+      stem: this.stem(norm),
+      sentence,
+      start,
+      end: start + surface.length,
+      // "can't" negates its own host as well as what follows
+      contracted: parts !== null && i < parts.length - 1,
+      negated: false,
+      negator: this.negations.has(norm)
+    }));
+  }
+
+  stem(word) {
+    return this.stemmer(this.lemmas[word] ?? word);
+  }
+
+  markNegation(tokens) {
+    let reach = 0;
+
+    tokens.forEach((token, i) => {
+      if (token.punctuation || this.scopeBreakers.has(token.norm)) {
+        reach = 0;
+        return;
+      }
+
+      if (token.negator) {
+        reach = NEGATION_WINDOW;
+        const host = tokens[i - 1];
+        if (host?.contracted) host.negated = true;
+        return;
+      }
+
+      if (reach > 0) {
+        token.negated = true;
+        reach--;
+      }
+    });
+  }
+
+  // A lexicon entry, read as the stems it must match in order
+  phrase(entry) {
+    if (!this.phrases.has(entry)) {
+      const tokens = this.read(entry).words;
+      this.phrases.set(entry, {
+        stems: tokens.map(t => t.stem),
+        negative: tokens.some(t => t.negator)
+      });
+    }
+    return this.phrases.get(entry);
+  }
+
+  /**
+   * Every occurrence of every entry.
+   * polarity: 'affirmed' (default) skips negated occurrences,
+   * 'negated' keeps only those, 'any' keeps all.
+   */
+  findMatches(analysis, entries, { polarity = 'affirmed' } = {}) {
+    const matches = [];
+    const tokens = analysis.tokens;
+
+    for (const entry of entries) {
+      const { stems, negative } = this.phrase(entry);
+      if (stems.length === 0) continue;
+
+      for (let i = 0; i + stems.length <= tokens.length; i++) {
+        if (!stems.every((stem, j) => tokens[i + j].stem === stem)) continue;
+
+        const negated = tokens.slice(i, i + stems.length).some(t => t.negated);
+        if (!negative && polarity === 'affirmed' && negated) continue;
+        if (!negative && polarity === 'negated' && !negated) continue;
+
+        matches.push({ entry, index: i, length: stems.length, negated });
+      }
+    }
+
+    return matches;
+  }
+
+  // How many different entries occur at least once
+  count(analysis, entries, options) {
+    return new Set(this.findMatches(analysis, entries, options).map(m => m.entry)).size;
+  }
+
+  has(analysis, entries, options) {
+    return this.findMatches(analysis, entries, options).length > 0;
+  }
+
+  /**
+   * What a weighted lexicon adds to a score, as contributions: one per
+   * distinct entry (the same as count), placed at its first occurrence.
+   */
+  weigh(analysis, entries, weight, options) {
+    const seen = new Set();
+    const contributions = [];
+
+    for (const match of this.findMatches(analysis, entries, options)) {
+      if (seen.has(match.entry)) continue;
+      seen.add(match.entry);
+      contributions.push({ ...this.span(analysis, match), weight });
+    }
+    return contributions;
+  }
+
+  // Where a match sits in the text
+  span(analysis, { index, length = 1 }) {
+    const first = analysis.tokens[index];
+    const last = analysis.tokens[index + length - 1];
+    return { text: analysis.text.slice(first.start, last.end), start: first.start, end: last.end };
+  }
+
+  // Content words, in order, repeats kept
+  keywords(analysis, minLength = 4) {
+    return analysis.words
+      .filter(t => t.norm.length >= minLength && !this.stopWords.has(t.norm) && !t.negator)
+      .map(t => t.norm);
+  }
+
+  // Word-overlap similarity by stem (Jaccard)
+  similarity(a, b) {
+    const stems1 = new Set(a.words.map(t => t.stem));
+    const stems2 = new Set(b.words.map(t => t.stem));
+    const union = new Set([...stems1, ...stems2]);
+    if (union.size === 0) return 0;
+
+    let shared = 0;
+    for (const stem of stems1) if (stems2.has(stem)) shared++;
+    return shared / union.size;
+  }
+}
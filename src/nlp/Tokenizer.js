@@ -0,0 +1,133 @@
+/**
+ * Tokenizer - How many tokens an answer costs the context window
+ *
+ * Byte-level BPE in the GPT-2 manner: text is cut into pieces (words
+ * with their leading space, numbers, runs of punctuation), each piece
+ * becomes UTF-8 bytes, and the learned merges join bytes into tokens,
+ * lowest rank first. Common words end up as one token, rare ones as
+ * several.
+ *
+ * The merges in config/tokenizer.json are GPT-2's own, all 50000 of
+ * them (OpenAI, MIT licence), so counts are the ones GPT-2 would give.
+ * Only the merges are shipped; counting needs no vocabulary. At 800 KB
+ * they are a chunk of their own, fetched the first time anyone asks for
+ * the shared tokenizer: getTokenizer() is null until loadTokenizer()
+ * has settled.
+ *
+ *   count(text)     tokens, exactly as BPE produced them
+ *   tokenize(text)  the same tokens as { text, start, end } spans; a
+ *                   token that ends inside a multi-byte character is
+ *                   joined to the next, so spans can be fewer
+ */
+
+const PIECE = /'(?:s|t|re|ve|m|ll|d)| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+const CACHE_SIZE = 4096;
+
+// GPT-2's byte → printable character table, so merges can be written as text
+const BYTE_TO_CHAR = [];
+const CHAR_TO_BYTE = new Map();
+{
+  const printable = (b) => (b >= 33 && b <= 126) || (b >= 161 && b <= 172) || (b >= 174 && b <= 255);
+  let extra = 0;
+  for (let b = 0; b < 256; b++) {
+    const char = String.fromCharCode(printable(b) ? b : 256 + extra++);
+    BYTE_TO_CHAR[b] = char;
+    CHAR_TO_BYTE.set(char, b);
+  }
+}
+
+let shared = null;
+let loading = null;
+
+export function loadTokenizer() {
+  loading ??= import('../config/tokenizer.json', { with: { type: 'json' } })
+    .then(({ default: data }) => (shared = new Tokenizer({ merges: data.merges })));
+  return loading;
+}
+
+// The shared tokenizer, or null while its merges are on their way
+export function getTokenizer() {
+  if (!shared) loadTokenizer();
+  return shared;
+}
+
+export class Tokenizer {
+  constructor({ merges }) {
+    this.ranks = new Map(merges.map((merge, rank) => [merge, rank]));
+    this.encoder = new TextEncoder();
+    this.decoder = new TextDecoder('utf-8', { fatal: true });
+    this.cache = new Map();
+  }
+
+  count(text = '') {
+    let total = 0;
+    for (const [piece] of text.matchAll(PIECE)) {
+      total += this.bpe(piece).length;
+    }
+    return total;
+  }
+
+  tokenize(text = '') {
+    const spans = [];
+
+    for (const { 0: piece, index } of text.matchAll(PIECE)) {
+      let start = index;
+      let pending = [];
+
+      for (const symbol of this.bpe(piece)) {
+        pending.push(...Array.from(symbol, char => CHAR_TO_BYTE.get(char)));
+
+        let decoded;
+        try {
+          decoded = this.decoder.decode(new Uint8Array(pending));
+        } catch {
+          continue; // Half a character; wait for the rest
+        }
+
+        spans.push({ text: decoded, start, end: start + decoded.length });
+        start += decoded.length;
+        pending = [];
+      }
+    }
+
+    return spans;
+  }
+
+  // One piece → its tokens, as byte-level symbol strings
+  bpe(piece) {
+    if (this.cache.has(piece)) return this.cache.get(piece);
+
+    let symbols = Array.from(this.encoder.encode(piece), b => BYTE_TO_CHAR[b]);
+
+    while (symbols.length > 1) {
+      // The best-ranked adjacent pair merges next, everywhere it occurs
+      let best = null;
+      let bestRank = Infinity;
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const rank = this.ranks.get(`${symbols[i]} ${symbols[i + 1]}`);
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          best = [symbols[i], symbols[i + 1]];
+        }
+      }
+      if (!best) break;
+
+      const merged = [];
+      for (let i = 0; i < symbols.length; i++) {
+        if (i < symbols.length - 1 && symbols[i] === best[0] && symbols[i + 1] === best[1]) {
+          merged.push(best[0] + best[1]);
+          i++;
+        } else {
+          merged.push(symbols[i]);
+        }
+      }
+      symbols = merged;
+    }
+
+    this.cache.set(piece, symbols);
+    if (this.cache.size > CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return symbols;
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * Explained scores. Every analyzer measure returns
+ *
+ *   { value, base, contributions: [{ weight, text?, start?, end?, reason? }] }
+ *
+ * where value is base plus the contributions' weights (clamped), a
+ * contribution with a span points at the words that caused it, and
+ * one with a reason is a feature of the answer as a whole ("question",
+ * "length"). Tuning starts by reading these.
+ */
+
+export function explainScore(base, contributions, { min = -Infinity, max = Infinity } = {}) {
+  const raw = contributions.reduce((sum, c) => sum + c.weight, base);
+  return {
+    value: Math.max(min, Math.min(max, raw)),
+    base,
+    contributions: contributions.filter(c => c.weight !== 0)
+  };
+}
+
+// A contribution from the answer as a whole, optionally pinned to a span
+export function feature(reason, weight, span = null) {
+  return { reason, weight, ...span };
+}
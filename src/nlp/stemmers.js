@@ -0,0 +1,173 @@
+/**
+ * Stemmers by language. Both sides of every comparison go through the
+ * same stemmer, so a stem only has to be consistent, not a real word:
+ * "hated", "hates" and "hating" all become "hate".
+ */
+
+export function getStemmer(language) {
+  return STEMMERS[language] || identity;
+}
+
+const STEMMERS = {
+  en: porterStem,
+  es: spanishStem
+};
+
+function identity(word) {
+  return word;
+}
+
+// Light Spanish stemmer: plurals and the commonest adverb/verb endings
+function spanishStem(word) {
+  if (word.length <= 4) return word;
+
+  for (const suffix of ['mente', 'ando', 'iendo', 'ción', 'ciones', 'mos', 'es', 's']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * Porter (1980) stemmer for English.
+ * https://tartarus.org/martin/PorterStemmer/def.txt
+ */
+function porterStem(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word;
+
+  // Step 1a
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies')) w = w.slice(0, -2);
+  else if (!w.endsWith('ss') && w.endsWith('s')) w = w.slice(0, -1);
+
+  // Step 1b
+  let step1bSuffixRemoved = false;
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    for (const suffix of ['ed', 'ing']) {
+      if (w.endsWith(suffix) && hasVowel(w.slice(0, -suffix.length))) {
+        w = w.slice(0, -suffix.length);
+        step1bSuffixRemoved = true;
+        break;
+      }
+    }
+  }
+
+  if (step1bSuffixRemoved) {
+    if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) {
+      w += 'e';
+    } else if (endsWithDoubleConsonant(w) && !/[lsz]$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (measure(w) === 1 && endsCVC(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c
+  if (w.endsWith('y') && hasVowel(w.slice(0, -1))) {
+    w = w.slice(0, -1) + 'i';
+  }
+
+  // Step 2
+  w = replaceSuffix(w, STEP2, 0);
+
+  // Step 3
+  w = replaceSuffix(w, STEP3, 0);
+
+  // Step 4
+  for (const suffix of STEP4) {
+    if (w.endsWith(suffix)) {
+      const stem = w.slice(0, -suffix.length);
+      if (measure(stem) > 1) {
+        if (suffix === 'ion' && !/[st]$/.test(stem)) break;
+        w = stem;
+      }
+      break;
+    }
+  }
+
+  // Step 5a
+  if (w.endsWith('e')) {
+    const stem = w.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsCVC(stem))) w = stem;
+  }
+
+  // Step 5b
+  if (measure(w) > 1 && endsWithDoubleConsonant(w) && w.endsWith('l')) {
+    w = w.slice(0, -1);
+  }
+
+  return w;
+}
+
+const STEP2 = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+  ['izer', 'ize'], ['abli', 'able'], ['alli', 'al'], ['entli', 'ent'],
+  ['eli', 'e'], ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'],
+  ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'],
+  ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble']
+];
+
+const STEP3 = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+  ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4 = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+].sort((a, b) => b.length - a.length);
+
+function replaceSuffix(word, rules, minMeasure) {
+  for (const [suffix, replacement] of rules) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return measure(stem) > minMeasure ? stem + replacement : word;
+    }
+  }
+  return word;
+}
+
+function isConsonant(word, i) {
+  const c = word[i];
+  if ('aeiou'.includes(c)) return false;
+  if (c === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+}
+
+// Number of vowel-consonant sequences: [C](VC)^m[V]
+function measure(stem) {
+  let m = 0;
+  let previousVowel = false;
+  for (let i = 0; i < stem.length; i++) {
+    const vowel = !isConsonant(stem, i);
+    if (previousVowel && !vowel) m++;
+    previousVowel = vowel;
+  }
+  return m;
+}
+
+function hasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) return true;
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word) {
+  const n = word.length;
+  return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+// consonant-vowel-consonant, where the last is not w, x or y
+function endsCVC(word) {
+  const n = word.length;
+  return n >= 3 &&
+    isConsonant(word, n - 3) && !isConsonant(word, n - 2) && isConsonant(word, n - 1) &&
+    !'wxy'.includes(word[n - 1]);
+}
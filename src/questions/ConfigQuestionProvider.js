@@ -0,0 +1,65 @@
+import { QuestionProvider } from './QuestionProvider.js';
+import { QuestionGraph } from './QuestionGraph.js';
+import { createRandom } from '../core/random.js';
+
+/**
+ * ConfigQuestionProvider - The authored questions
+ *
+ * Follow-ups of the question just answered come first, then the
+ * current phase's questions plus any branch whose conditions hold,
+ * weighted toward the current reveal level. Passes (null) when the
+ * phase has nothing left, which is the engine's cue to move on.
+ */
+
+export class ConfigQuestionProvider extends QuestionProvider {
+  constructor(pack, { random = createRandom() } = {}) {
+    super();
+    this.type = 'config';
+    this.config = pack;
+    this.random = random;
+    this.graph = new QuestionGraph(pack);
+  }
+
+  next(context) {
+    // Follow the answer to the last question, if it opened a branch
+    const followUps = this.graph.getFollowUps(context.answeredQuestion, context)
+      .filter(q => this.meetsLegacyRequirements(q, context));
+    if (followUps.length > 0) {
+      return this.selectQuestion(followUps, context.revealLevel);
+    }
+
+    // Get phase-appropriate question, plus any branch whose conditions now hold
+    const phase = this.config.phases[context.phase];
+    if (!phase) return null;
+
+    const availableQuestions = [...phase.questions, ...this.graph.getOpenBranches(context)]
+      .filter(q => this.graph.isAvailable(q, context) && this.meetsLegacyRequirements(q, context));
+    if (availableQuestions.length === 0) return null;
+
+    // Select question (weighted by reveal level appropriateness)
+    return this.selectQuestion(availableQuestions, context.revealLevel);
+  }
+
+  meetsLegacyRequirements(question, context) {
+    if (question.requiresToneAnalysis && !context.detectedTone) return false;
+    return true;
+  }
+
+  selectQuestion(questions, revealLevel) {
+    // Weight toward questions matching current reveal level
+    const weighted = questions.map(q => ({
+      question: q,
+      weight: 1 + (1 - Math.abs(q.revealLevel - revealLevel) / 5)
+    }));
+
+    const totalWeight = weighted.reduce((sum, w) => sum + w.weight, 0);
+    let roll = this.random.next() * totalWeight;
+
+    for (const { question, weight } of weighted) {
+      roll -= weight;
+      if (roll <= 0) return question;
+    }
+
+    return questions[0];
+  }
+}
@@ -0,0 +1,65 @@
+import { QuestionProvider } from './QuestionProvider.js';
+import { createRandom } from '../core/random.js';
+import { createLocale } from '../i18n/locales.js';
+import { getTextAnalyzer } from '../nlp/TextAnalyzer.js';
+
+/**
+ * GrammarQuestionProvider - Questions made from the last answer
+ *
+ * Takes a word the player just used and expands the locale's question
+ * grammar around it, Tracery style: `#rule#` picks one of the rule's
+ * expansions, `{keyword}` and `{tone}` come from the answer. Only
+ * speaks up `chance` of the time, and only when the answer had a word
+ * worth repeating, so the authored questions still carry the session.
+ */
+
+const MAX_DEPTH = 8;
+
+export class GrammarQuestionProvider extends QuestionProvider {
+  constructor({ random = createRandom(), locale = createLocale(), chance = 0.3 } = {}) {
+    super();
+    this.type = 'grammar';
+    this.random = random;
+    this.locale = locale;
+    this.analyzer = getTextAnalyzer(locale);
+    this.chance = chance;
+    this.generated = 0;
+    this.used = new Set(); // texts already asked, so nothing is asked twice
+  }
+
+  next(context) {
+    if (!context.lastAnswer) return null;
+    if (this.random.next() >= this.chance) return null;
+
+    const keywords = this.analyzer.keywords(this.analyzer.analyze(context.lastAnswer), 5);
+    if (keywords.length === 0) return null;
+
+    const keyword = this.random.pick(keywords);
+    const tone = this.locale.t(`tones.${context.detectedTone || 'default'}`);
+    const text = this.expand('#origin#')
+      .replace(/\{keyword\}/g, keyword)
+      .replace(/\{tone\}/g, tone);
+    if (this.used.has(text)) return null;
+
+    this.used.add(text);
+    return {
+      id: `grammar_${++this.generated}`,
+      text,
+      revealLevel: context.revealLevel
+    };
+  }
+
+  expand(template, depth = 0) {
+    if (depth > MAX_DEPTH) return template;
+
+    return template.replace(/#(\w+)#/g, (match, rule) => {
+      const options = this.locale.grammar(rule);
+      if (options.length === 0) return match;
+      return this.expand(this.random.pick(options), depth + 1);
+    });
+  }
+
+  toJSON() {
+    return { type: this.type, chance: this.chance };
+  }
+}
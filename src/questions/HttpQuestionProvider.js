@@ -0,0 +1,208 @@
+import { QuestionProvider } from './QuestionProvider.js';
+
+/**
+ * HttpQuestionProvider - Questions from a locally hosted language model
+ *
+ * Every answer the player types is sent to the endpoint, so only one on
+ * this machine (localhost, 127.x.x.x, [::1]) or the page's own origin is
+ * used (isAllowedEndpoint); any other is ignored with a warning, and the
+ * space asks its own questions.
+ *
+ * After each answer, prepare() POSTs the recent conversation to
+ * `endpoint`. The body carries a ready-made `prompt` for plain
+ * completion servers, and the same facts as fields for an endpoint
+ * that builds its own:
+ *
+ *   { prompt, max_tokens, stream: false, locale, phase, territory,
+ *     revealLevel, question, history: [{ text, certainty, sentiment }] }
+ *
+ * Any of `{ question }`, `{ content }` (llama.cpp), `{ response }`
+ * (Ollama) or `{ choices: [{ text }] }` (OpenAI-style) is understood;
+ * the first line that reads as a question is asked.
+ *
+ * A slow or broken endpoint costs nothing: the request is abandoned
+ * after `timeout` ms and next() passes to the authored questions.
+ * Answers are cached by the request they answer, and the ones actually
+ * asked (`served`) travel with a recording, so a replay asks them again
+ * with no server at all.
+ */
+
+const CACHE_SIZE = 32;
+const MAX_LENGTH = 200;
+
+export class HttpQuestionProvider extends QuestionProvider {
+  constructor({
+    endpoint = null,
+    timeout = 4000,
+    history = 5,
+    served = [],
+    fetch = globalThis.fetch?.bind(globalThis)
+  } = {}) {
+    super();
+    this.type = 'http';
+    this.endpoint = endpoint;
+    if (endpoint && !isAllowedEndpoint(endpoint)) {
+      console.warn(`Question provider: ${endpoint} is not on this machine or this site; answers stay here`);
+      this.endpoint = null;
+    }
+    this.timeout = timeout;
+    this.history = history;
+    this.fetch = fetch;
+
+    this.cache = new Map(served); // request key → question text
+    this.served = new Map(served);
+    this.pending = new Map(); // request key → in-flight request
+  }
+
+  prepare(context) {
+    // Only a fresh answer is worth a follow-up
+    if (!context.lastAnswer || !this.endpoint || !this.fetch) return Promise.resolve();
+
+    const body = this.buildRequest(context);
+    const key = requestKey(body);
+    if (this.cache.has(key)) return Promise.resolve();
+
+    // Asked twice for the same thing, the request is only made once
+    if (!this.pending.has(key)) {
+      const request = this.request(body)
+        .then(text => { if (text) this.remember(key, text); })
+        .catch(error => console.warn(`Question provider: ${error.message}`))
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, request);
+    }
+    return this.pending.get(key);
+  }
+
+  next(context) {
+    if (!context.lastAnswer) return null;
+
+    const key = requestKey(this.buildRequest(context));
+    const text = this.cache.get(key);
+    const id = `generated_${key}`;
+    if (!text || context.asked.has(id)) return null;
+
+    this.served.set(key, text);
+    return { id, text, revealLevel: context.revealLevel };
+  }
+
+  async request(body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await this.fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`${this.endpoint} answered ${response.status}`);
+      }
+      return extractQuestion(await response.json());
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`${this.endpoint} took longer than ${this.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  buildRequest(context) {
+    const history = context.recentResponses.slice(-this.history).map(entry => ({
+      text: entry.text,
+      certainty: round(entry.metadata.certainty),
+      sentiment: round(entry.metadata.sentiment)
+    }));
+    const question = context.answeredQuestion?.text ?? null;
+
+    return {
+      prompt: buildPrompt(context, question, history),
+      max_tokens: 48,
+      stream: false,
+      locale: context.locale,
+      phase: context.phase,
+      territory: context.territory,
+      revealLevel: round(context.revealLevel),
+      question,
+      history
+    };
+  }
+
+  remember(key, text) {
+    this.cache.set(key, text);
+    if (this.cache.size > CACHE_SIZE) {
+      const oldest = [...this.cache.keys()].find(k => !this.served.has(k));
+      if (oldest !== undefined) this.cache.delete(oldest);
+    }
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      endpoint: this.endpoint,
+      timeout: this.timeout,
+      history: this.history,
+      served: [...this.served]
+    };
+  }
+}
+
+// Loopback or same-origin http(s) only: answers never leave for a site the player didn't choose
+export function isAllowedEndpoint(endpoint, origin = globalThis.location?.origin) {
+  let url;
+  try {
+    url = new URL(endpoint, origin);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+  if (origin && url.origin === origin) return true;
+
+  const host = url.hostname;
+  return host === 'localhost' || host.endsWith('.localhost') || host === '[::1]' ||
+    /^127\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(host);
+}
+
+function buildPrompt(context, question, history) {
+  const lines = [
+    'You are a quiet voice in an empty space, asking someone questions about who they are.',
+    'Ask exactly one short question (under twenty words) about what they actually said.',
+    `Write it in ${context.language}. Reply with the question only.`,
+    '',
+    `Phase: ${context.phase}. Territory: ${context.territory ?? 'CENTER'}.`
+  ];
+  if (question) lines.push(`You last asked: "${question}"`);
+  for (const entry of history) lines.push(`They said: "${entry.text}"`);
+  lines.push('', 'Question:');
+  return lines.join('\n');
+}
+
+// The first line that reads as a question, trimmed of quotes and labels
+function extractQuestion(data) {
+  const raw = data?.question ?? data?.content ?? data?.response ?? data?.choices?.[0]?.text ?? '';
+  const lines = String(raw)
+    .split('\n')
+    .map(line => line.trim().replace(/^(question:\s*)/i, '').replace(/^["“'«]+|["”'»]+$/g, '').trim())
+    .filter(Boolean);
+
+  const text = lines.find(line => line.includes('?')) ?? lines[0];
+  return text ? text.slice(0, MAX_LENGTH) : null;
+}
+
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * 100) / 100 : null;
+}
+
+// FNV-1a over the request, so cache keys (and question ids) stay short
+function requestKey(body) {
+  const text = JSON.stringify(body);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
@@ -1,26 +1,72 @@
-import questionsConfig from '../config/questions.json';
+import { EVENTS } from '../core/EventBus.js';
+import { systemClock } from '../core/clock.js';
+import { createRandom } from '../core/random.js';
+import { ConfigQuestionProvider } from './ConfigQuestionProvider.js';
+import { getBuiltinPack } from './questionPacks.js';
+import { createLocale } from '../i18n/locales.js';
 
 export class QuestionEngine {
-  constructor(contextWindow, consistencyTracker) {
+  constructor(contextWindow, consistencyTracker, {
+    clock = systemClock,
+    random = createRandom(),
+    pack = getBuiltinPack(),
+    locale = createLocale(),
+    stateTerritory = null,
+    alignmentTracker = null,
+    persistentMemory = null,
+    providers = []
+  } = {}) {
     this.contextWindow = contextWindow;
+    this.clock = clock;
+    this.random = random;
     this.consistencyTracker = consistencyTracker;
-    this.config = questionsConfig;
+
+    // Optional sources for question conditions; missing ones never match
+    this.stateTerritory = stateTerritory;
+    this.alignmentTracker = alignmentTracker;
+    this.persistentMemory = persistentMemory;
+
+    this.config = pack;
+    this.locale = locale;
+
+    // Generated questions get the first word; the authored ones always have the last
+    this.configProvider = new ConfigQuestionProvider(pack, { random });
+    this.graph = this.configProvider.graph;
+    this.providers = [...providers, this.configProvider];
+
     this.responseCount = 0;
     this.currentPhase = 'orientation';
     this.askedQuestions = new Set();
+    this.exhaustedPhases = new Set();
     this.lastQuestion = null;
+    this.answeredQuestion = null;
+    this.lastAnswer = null;
     this.revealLevel = 0;
     this.silenceCount = 0;
+    this.bus = null;
+  }
+
+  connect(bus) {
+    this.bus = bus;
+    bus.on(EVENTS.RESPONSE_SUBMITTED, ({ response }) => this.recordResponse(response));
+    bus.on(EVENTS.SILENCE, () => this.recordSilence());
   }
 
   getNextQuestion() {
-    this.updatePhase();
+    const context = this.getContext();
+    this.updatePhase(context);
     
     // Check for silence state
     if (this.silenceCount >= 3) {
       return this.getSilenceResponse();
     }
 
+    // Something said on an earlier visit, contradicted now
+    const past = this.consistencyTracker.takePastContradictionForQuestion();
+    if (past && this.config.pastContradictionTemplates?.length) {
+      return this.generatePastContradictionQuestion(past);
+    }
+
     // Check for contradiction-based question
     if (this.consistencyTracker.getContradictionLevel() > 0.5) {
       const contradiction = this.consistencyTracker.getContradictionForQuestion();
@@ -29,25 +75,31 @@ export class QuestionEngine {
       }
     }
 
-    // Get phase-appropriate question
-    const phase = this.config.phases[this.currentPhase];
-    if (!phase) return this.getDefaultQuestion();
-
-    const availableQuestions = phase.questions.filter(q => {
-      if (this.askedQuestions.has(q.id)) return false;
-      if (q.requiresPrevious && this.responseCount < 2) return false;
-      if (q.requiresToneAnalysis && !this.getDetectedTone()) return false;
-      return true;
-    });
-
-    if (availableQuestions.length === 0) {
-      // Move to next phase or use fallback
-      this.advancePhase();
-      return this.getNextQuestion();
+    // The answer gets one chance to lead somewhere; providers see it once
+    const providerContext = this.getProviderContext(context);
+    this.answeredQuestion = null;
+
+    for (const provider of this.providers) {
+      const question = provider.next(providerContext);
+      if (question) return this.ask(question);
     }
 
-    // Select question (weighted by reveal level appropriateness)
-    const question = this.selectQuestion(availableQuestions);
+    // Nothing left in this phase: move to the next or fall silent
+    if (!this.config.phases[this.currentPhase]) return this.getDefaultQuestion();
+    this.exhaustedPhases.add(this.currentPhase);
+    this.advancePhase();
+    if (this.exhaustedPhases.has(this.currentPhase)) return this.getDefaultQuestion();
+    return this.getNextQuestion();
+  }
+
+  // Let providers that need time (a model behind HTTP) work ahead of getNextQuestion
+  async prepare() {
+    const context = this.getContext();
+    const phase = this.resolvePhase(context) ?? this.currentPhase;
+    await Promise.all(this.providers.map(p => p.prepare({ ...this.getProviderContext(context), phase })));
+  }
+
+  ask(question) {
     this.askedQuestions.add(question.id);
     this.lastQuestion = question;
 
@@ -55,22 +107,36 @@ export class QuestionEngine {
     return this.processQuestion(question);
   }
 
-  selectQuestion(questions) {
-    // Weight toward questions matching current reveal level
-    const weighted = questions.map(q => ({
-      question: q,
-      weight: 1 + (1 - Math.abs(q.revealLevel - this.revealLevel) / 5)
-    }));
+  // Everything a question condition can look at, as of now
+  getContext() {
+    const alignment = this.alignmentTracker?.getAlignmentData();
+    const territory = this.stateTerritory?.getState();
 
-    const totalWeight = weighted.reduce((sum, w) => sum + w.weight, 0);
-    let random = Math.random() * totalWeight;
-    
-    for (const { question, weight } of weighted) {
-      random -= weight;
-      if (random <= 0) return question;
-    }
-    
-    return questions[0];
+    return {
+      lastAnswer: this.lastAnswer,
+      territory: territory?.territory ?? null,
+      position: territory?.position ?? null,
+      metrics: alignment?.metrics ?? null,
+      alignment: alignment?.score ?? null,
+      contradictionLevel: this.consistencyTracker.getContradictionLevel(),
+      revealLevel: this.revealLevel,
+      session: this.persistentMemory?.getSessionCount() ?? null,
+      responseCount: this.responseCount,
+      asked: this.askedQuestions
+    };
+  }
+
+  // What providers see: the condition context plus what it takes to write a question
+  getProviderContext(context = this.getContext()) {
+    return {
+      ...context,
+      phase: this.currentPhase,
+      answeredQuestion: this.answeredQuestion,
+      detectedTone: this.getDetectedTone(),
+      locale: this.locale.code,
+      language: this.locale.name,
+      recentResponses: this.contextWindow.getRecentResponses()
+    };
   }
 
   processQuestion(question) {
@@ -79,13 +145,13 @@ export class QuestionEngine {
     // Replace template variables
     if (text.includes('{previousTopic}')) {
       const topics = this.contextWindow.getRecentTopics();
-      const topic = topics[0] || 'that';
+      const topic = topics[0] || this.locale.t('topics.default');
       text = text.replace('{previousTopic}', topic);
     }
 
     if (text.includes('{detectedTone}')) {
       const tone = this.getDetectedTone();
-      text = text.replace('{detectedTone}', tone || 'thoughtful');
+      text = text.replace('{detectedTone}', this.locale.t(`tones.${tone || 'default'}`));
     }
 
     return {
@@ -113,20 +179,42 @@ export class QuestionEngine {
 
   generateContradictionQuestion(contradiction) {
     const templates = this.config.contradictionTemplates;
-    const template = templates[Math.floor(Math.random() * templates.length)];
+    const template = this.random.pick(templates);
     
+    // Whole claims, quoted the way the language quotes
     const text = template
-      .replace('{previous}', contradiction.previous)
-      .replace('{current}', contradiction.current);
+      .replace('{previous}', this.locale.t('quote', { text: contradiction.previous }))
+      .replace('{current}', this.locale.t('quote', { text: contradiction.current }));
 
     return {
-      id: `contradiction_${Date.now()}`,
+      id: `contradiction_${this.clock.now()}`,
       text,
       critical: false,
       revealLevel: 3
     };
   }
 
+  generatePastContradictionQuestion(contradiction) {
+    const when = contradiction.sessionsAgo === 1
+      ? this.locale.t('memory.when.last')
+      : this.locale.t('memory.when.ago', { count: this.locale.formatNumber(contradiction.sessionsAgo) });
+
+    // "{when}" may open the sentence or sit inside it
+    const template = this.random.pick(this.config.pastContradictionTemplates);
+    const text = template
+      .replace(/^\{when\}/, when)
+      .replace('{when}', when.toLocaleLowerCase(this.locale.code))
+      .replace('{previous}', this.locale.t('quote', { text: contradiction.previous }))
+      .replace('{current}', this.locale.t('quote', { text: contradiction.current }));
+
+    return {
+      id: `past_contradiction_${this.clock.now()}`,
+      text,
+      critical: false,
+      revealLevel: 4
+    };
+  }
+
   getSilenceResponse() {
     const responses = this.config.silenceResponses;
     const index = Math.min(this.silenceCount - 3, responses.length - 1);
@@ -147,28 +235,45 @@ export class QuestionEngine {
     };
   }
 
-  updatePhase() {
+  updatePhase(context = this.getContext()) {
+    const phase = this.resolvePhase(context);
+    if (phase) this.setPhase(phase);
+  }
+
+  // The phase the current state calls for, or null to stay put
+  resolvePhase(context) {
     const phases = Object.entries(this.config.phases)
       .sort((a, b) => a[1].order - b[1].order);
 
     for (const [phaseName, phase] of phases) {
+      if (this.exhaustedPhases.has(phaseName)) continue;
+      if (!this.graph.matches(phase.requires, context)) continue;
       if (this.responseCount >= (phase.minResponses || 0)) {
         if (!phase.maxResponses || this.responseCount < phase.maxResponses) {
-          this.currentPhase = phaseName;
-          break;
+          return phaseName;
         }
       }
     }
+    return null;
   }
 
   advancePhase() {
     const phases = Object.keys(this.config.phases);
     const currentIndex = phases.indexOf(this.currentPhase);
-    if (currentIndex < phases.length - 1) {
-      this.currentPhase = phases[currentIndex + 1];
+    const next = phases.slice(currentIndex + 1).find(p => !this.exhaustedPhases.has(p));
+    if (next) {
+      this.setPhase(next);
     }
   }
 
+  setPhase(phase) {
+    if (phase === this.currentPhase) return;
+
+    const previousPhase = this.currentPhase;
+    this.currentPhase = phase;
+    this.bus?.emit(EVENTS.PHASE_CHANGED, { phase, previousPhase });
+  }
+
   recordResponse(responseData) {
     this.responseCount++;
     this.silenceCount = 0;
@@ -178,10 +283,17 @@ export class QuestionEngine {
     } else if (this.lastQuestion?.revealLevel > this.revealLevel) {
       this.revealLevel += 0.2;
     }
+
+    // Follow-ups are judged on this answer to that question
+    this.answeredQuestion = this.lastQuestion;
+    this.lastQuestion = null;
+    this.lastAnswer = responseData.text;
   }
 
   recordSilence() {
     this.silenceCount++;
+    this.answeredQuestion = null;
+    this.lastAnswer = null;
   }
 
   getRevealLevel() {
@@ -0,0 +1,128 @@
+/**
+ * QuestionGraph - Which questions can follow which
+ *
+ * Phases still give the conversation its rough arc, but any question
+ * may declare `requires` (prerequisites) and `followUps` (edges taken
+ * when the answer to it meets a condition). Branch questions live
+ * outside the phases and are reached only through those edges - or,
+ * if they declare `requires`, whenever their conditions hold.
+ *
+ * A condition is an object; every key must hold:
+ *
+ *   keywords:           ["help", "need"]       any of these words in the last answer
+ *   territory:          "REFUSAL" | [...]      current StateTerritory territory
+ *   position:           { compliance: { max: -0.3 } }
+ *   metrics:            { compliance: { min: 0.7 } }   AlignmentTracker metrics
+ *   alignment:          { max: 0.4 }           AlignmentTracker score
+ *   contradictionLevel: { min: 0.3 }
+ *   revealLevel:        { min: 2 }
+ *   session:            { min: 3 }             sessions including this one
+ *   responses:          { min: 2 }             answers given this session
+ *   asked:              ["cap_1"]              all already asked
+ *   any:                [condition, ...]       at least one holds
+ *
+ * Ranges are { min, max }, both inclusive and both optional.
+ */
+
+export class QuestionGraph {
+  constructor(config) {
+    this.phases = config.phases;
+    this.questions = new Map();
+
+    for (const phase of Object.values(config.phases)) {
+      for (const question of phase.questions) {
+        this.questions.set(question.id, question);
+      }
+    }
+
+    this.branches = config.branches || [];
+    for (const question of this.branches) {
+      this.questions.set(question.id, question);
+    }
+  }
+
+  getQuestion(id) {
+    return this.questions.get(id) || null;
+  }
+
+  // Branch questions that have opened up on their own conditions
+  getOpenBranches(context) {
+    return this.branches.filter(q => q.requires && this.isAvailable(q, context));
+  }
+
+  // Questions reached by answering `question`, given where that answer left things
+  getFollowUps(question, context) {
+    if (!question?.followUps) return [];
+
+    const followUps = [];
+    for (const edge of question.followUps) {
+      if (!this.matches(edge.when, context)) continue;
+
+      for (const id of [].concat(edge.ask)) {
+        const next = this.getQuestion(id);
+        if (!next) {
+          console.warn(`Follow-up "${id}" from "${question.id}" does not exist`);
+          continue;
+        }
+        if (this.isAvailable(next, context)) followUps.push(next);
+      }
+    }
+    return followUps;
+  }
+
+  isAvailable(question, context) {
+    if (context.asked.has(question.id)) return false;
+    return this.matches(question.requires, context);
+  }
+
+  matches(conditions, context) {
+    if (!conditions) return true;
+
+    return Object.entries(conditions).every(([key, value]) => {
+      switch (key) {
+        case 'keywords': {
+          const answer = context.lastAnswer?.toLowerCase() ?? '';
+          return value.some(keyword => containsWord(answer, keyword.toLowerCase()));
+        }
+        case 'territory':
+          return [].concat(value).includes(context.territory);
+        case 'position':
+          return this.inRanges(context.position, value);
+        case 'metrics':
+          return this.inRanges(context.metrics, value);
+        case 'alignment':
+          return this.inRange(context.alignment, value);
+        case 'contradictionLevel':
+          return this.inRange(context.contradictionLevel, value);
+        case 'revealLevel':
+          return this.inRange(context.revealLevel, value);
+        case 'session':
+          return this.inRange(context.session, value);
+        case 'responses':
+          return this.inRange(context.responseCount, value);
+        case 'asked':
+          return value.every(id => context.asked.has(id));
+        case 'any':
+          return value.some(condition => this.matches(condition, context));
+        default:
+          console.warn(`Unknown question condition: ${key}`);
+          return false;
+      }
+    });
+  }
+
+  inRanges(values, ranges) {
+    return Object.entries(ranges).every(([name, range]) => this.inRange(values?.[name], range));
+  }
+
+  inRange(value, { min = -Infinity, max = Infinity }) {
+    if (typeof value !== 'number') return false;
+    return value >= min && value <= max;
+  }
+}
+
+// Whole words only, so "am" is not found in "name"
+function containsWord(text, word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(text);
+}
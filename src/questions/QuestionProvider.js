@@ -0,0 +1,31 @@
+/**
+ * QuestionProvider - Where a question comes from
+ *
+ * QuestionEngine keeps the state (phase, reveal level, what has been
+ * asked) and asks its providers for the next question in order; the
+ * first one that returns a question wins. The config provider goes
+ * last and answers for as long as the current phase has questions.
+ *
+ *   next(context)     the question to ask now, or null to pass. Must
+ *                     be synchronous and decide only from `context`,
+ *                     so a seeded session replays the same way.
+ *   prepare(context)  work that can't be synchronous (a network call),
+ *                     done ahead of next() with the same context.
+ *   toJSON()          what a recording needs to rebuild the provider.
+ *
+ * A question is `{ id, text, revealLevel, critical?, silent? }`; the
+ * text may use the engine's template variables. `context` is
+ * QuestionEngine.getProviderContext().
+ */
+
+export class QuestionProvider {
+  async prepare(context) {}
+
+  next(context) {
+    return null;
+  }
+
+  toJSON() {
+    return { type: this.type };
+  }
+}
@@ -0,0 +1,369 @@
+import builtinPack from '../config/questions.json' with { type: 'json' };
+import packSchema from '../config/question-pack.schema.json' with { type: 'json' };
+
+/**
+ * Question packs - Everything the space can ask, as data
+ *
+ * The built-in pack is config/questions.json. More packs can be layered
+ * on top at runtime (?pack=<url>, or a file dropped on the page):
+ * phases merge by name, branches are appended, and silence lines,
+ * contradiction templates (for this visit and for earlier ones) and
+ * endings replace the ones before them.
+ *
+ * Finally the locale's translations are laid over whatever they cover
+ * (config/locales/<code>.json, matched by question id).
+ *
+ * Every pack is checked against config/question-pack.schema.json, then
+ * against the packs beneath it for what a schema cannot see: duplicate
+ * ids, follow-ups to nowhere, unknown template variables, and phases or
+ * branches nothing can ever reach. Errors carry a path into the pack
+ * itself, e.g. `phases.capability.questions[2].text`.
+ */
+
+export const PACK_FORMAT = 'answerspace-question-pack';
+
+// {variable} names each kind of text may use
+const TEMPLATE_VARIABLES = {
+  question: ['previousTopic', 'detectedTone'],
+  contradiction: ['previous', 'current'],
+  pastContradiction: ['when', 'previous', 'current']
+};
+
+export function getBuiltinPack() {
+  return builtinPack;
+}
+
+export function isQuestionPack(data) {
+  return data?.format === PACK_FORMAT;
+}
+
+export async function fetchPack(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load question pack ${url}: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Layer packs over the built-in one. Packs that fail validation - alone
+ * or combined with the ones before them - are left out and reported.
+ *
+ * @returns {{ pack: Object, errors: { pack: string, path: string, message: string }[] }}
+ */
+export function createQuestionPack(extraPacks = [], locale = null) {
+  let pack = builtinPack;
+
+  // The built-in pack is used regardless, but it is held to the same rules
+  const errors = [...validatePack(builtinPack), ...validateContent(builtinPack)]
+    .map(e => ({ pack: builtinPack.id, ...e }));
+
+  for (const extra of extraPacks) {
+    const packErrors = validatePack(extra);
+    if (packErrors.length === 0) packErrors.push(...validateContent(extra, pack));
+
+    if (packErrors.length > 0) {
+      const name = extra?.id ?? '(unnamed pack)';
+      errors.push(...packErrors.map(e => ({ pack: name, ...e })));
+      continue;
+    }
+    pack = mergePacks(pack, extra);
+  }
+
+  return { pack: locale ? localizePack(pack, locale) : pack, errors };
+}
+
+/**
+ * Translated question text (and extra follow-up keywords, one list per
+ * follow-up edge) by id. Silence lines, contradiction templates and
+ * ending lines are only translated while they are still the built-in
+ * ones - a pack that rewrote them keeps its own words.
+ */
+export function localizePack(pack, locale) {
+  const bundle = locale.bundle;
+  const translations = bundle.questions || {};
+
+  const translate = (question) => {
+    const translation = translations[question.id];
+    if (!translation) return question;
+
+    const { text = question.text, keywords = [] } =
+      typeof translation === 'string' ? { text: translation } : translation;
+    const localized = { ...question, text };
+
+    if (question.followUps) {
+      localized.followUps = question.followUps.map((edge, i) =>
+        keywords[i] && edge.when.keywords
+          ? { ...edge, when: { ...edge.when, keywords: [...edge.when.keywords, ...keywords[i]] } }
+          : edge
+      );
+    }
+    return localized;
+  };
+
+  const phases = {};
+  for (const [name, phase] of Object.entries(pack.phases)) {
+    phases[name] = { ...phase, questions: phase.questions.map(translate) };
+  }
+
+  const endings = {};
+  for (const [type, ending] of Object.entries(pack.endings || {})) {
+    const lines = bundle.endings?.[type];
+    endings[type] = lines && ending === builtinPack.endings[type] ? { ...ending, lines } : ending;
+  }
+
+  const builtin = (key) => pack[key] === builtinPack[key] && bundle[key];
+
+  return {
+    ...pack,
+    phases,
+    branches: (pack.branches || []).map(translate),
+    silenceResponses: builtin('silenceResponses') || pack.silenceResponses,
+    contradictionTemplates: builtin('contradictionTemplates') || pack.contradictionTemplates,
+    pastContradictionTemplates: builtin('pastContradictionTemplates') || pack.pastContradictionTemplates,
+    endings
+  };
+}
+
+export function mergePacks(base, extra) {
+  const phases = { ...base.phases };
+  for (const [name, phase] of Object.entries(extra.phases || {})) {
+    phases[name] = phases[name]
+      ? { ...phases[name], ...phase, questions: [...phases[name].questions, ...phase.questions] }
+      : phase;
+  }
+
+  return {
+    ...base,
+    id: `${base.id}+${extra.id}`,
+    phases,
+    branches: [...(base.branches || []), ...(extra.branches || [])],
+    silenceResponses: extra.silenceResponses ?? base.silenceResponses,
+    contradictionTemplates: extra.contradictionTemplates ?? base.contradictionTemplates,
+    pastContradictionTemplates: extra.pastContradictionTemplates ?? base.pastContradictionTemplates,
+    endings: { ...base.endings, ...extra.endings }
+  };
+}
+
+// Structure only: one pack against the schema
+export function validatePack(pack) {
+  const errors = [];
+  checkSchema(pack, packSchema, '', errors);
+  return errors;
+}
+
+/**
+ * Meaning: one pack's own content, read on top of `base` (the packs
+ * already layered beneath it). Only the new pack's problems are
+ * reported, at paths into the new pack.
+ */
+export function validateContent(pack, base = null) {
+  const errors = [];
+  const error = (path, message) => errors.push({ path, message });
+
+  const phaseEntries = Object.entries(pack.phases || {});
+  if (!base && phaseEntries.length === 0) error('phases', 'no phases - there is nothing to ask');
+
+  const questions = collectQuestions(pack);
+  const baseQuestions = base ? collectQuestions(base) : [];
+
+  const seen = new Map(baseQuestions.map(({ question, path }) => [question.id, `${base.id}: ${path}`]));
+  for (const { question, path } of questions) {
+    if (seen.has(question.id)) {
+      error(`${path}.id`, `duplicate id "${question.id}" (first at ${seen.get(question.id)})`);
+    } else {
+      seen.set(question.id, path);
+    }
+  }
+
+  // Follow-ups must point somewhere; whatever they point at is reachable
+  const reached = new Set();
+  for (const { question } of baseQuestions) {
+    for (const edge of question.followUps || []) [].concat(edge.ask).forEach(id => reached.add(id));
+  }
+
+  for (const { question, path } of questions) {
+    checkTemplate(question.text, TEMPLATE_VARIABLES.question, `${path}.text`, error);
+    checkCondition(question.requires, `${path}.requires`, error);
+
+    (question.followUps || []).forEach((edge, i) => {
+      checkCondition(edge.when, `${path}.followUps[${i}].when`, error);
+      for (const id of [].concat(edge.ask)) {
+        if (!seen.has(id)) error(`${path}.followUps[${i}].ask`, `no question with id "${id}"`);
+        reached.add(id);
+      }
+    });
+  }
+
+  for (const { question, path, branch } of questions) {
+    if (branch && !question.requires && !reached.has(question.id)) {
+      error(path, `branch "${question.id}" is unreachable: no follow-up leads to it and it has no requires`);
+    }
+  }
+
+  for (const [name, phase] of phaseEntries) {
+    const path = `phases.${name}`;
+    const min = phase.minResponses ?? 0;
+
+    // Adding nothing to an existing phase is fine; an empty new phase is not
+    if (phase.questions.length === 0 && !base?.phases[name]) {
+      error(`${path}.questions`, `phase "${name}" is unreachable: it has no questions`);
+    }
+    if (phase.maxResponses !== undefined && phase.maxResponses <= min) {
+      error(path, `phase "${name}" is unreachable: maxResponses (${phase.maxResponses}) must be above minResponses (${min})`);
+    }
+    checkCondition(phase.requires, `${path}.requires`, error);
+  }
+
+  (pack.contradictionTemplates || []).forEach((template, i) => {
+    checkTemplate(template, TEMPLATE_VARIABLES.contradiction, `contradictionTemplates[${i}]`, error);
+  });
+  (pack.pastContradictionTemplates || []).forEach((template, i) => {
+    checkTemplate(template, TEMPLATE_VARIABLES.pastContradiction, `pastContradictionTemplates[${i}]`, error);
+  });
+
+  return errors;
+}
+
+function collectQuestions(pack) {
+  const questions = [];
+  for (const [name, phase] of Object.entries(pack.phases || {})) {
+    phase.questions.forEach((q, i) => questions.push({ question: q, path: `phases.${name}.questions[${i}]` }));
+  }
+  (pack.branches || []).forEach((q, i) => questions.push({ question: q, path: `branches[${i}]`, branch: true }));
+  return questions;
+}
+
+export function formatPackErrors(errors) {
+  return errors.map(e => `${e.pack ? `[${e.pack}] ` : ''}${e.path || '(root)'}: ${e.message}`).join('\n');
+}
+
+function checkTemplate(text, allowed, path, error) {
+  for (const [, variable] of text.matchAll(/\{(\w*)\}/g)) {
+    if (!allowed.includes(variable)) {
+      error(path, `unknown template variable {${variable}} (allowed: ${allowed.map(v => `{${v}}`).join(', ')})`);
+    }
+  }
+}
+
+// Ranges that can never hold make their question unreachable
+function checkCondition(condition, path, error) {
+  if (!condition) return;
+
+  for (const [key, value] of Object.entries(condition)) {
+    if (key === 'any') {
+      value.forEach((c, i) => checkCondition(c, `${path}.any[${i}]`, error));
+    } else if (key === 'position' || key === 'metrics') {
+      for (const [name, range] of Object.entries(value)) checkRange(range, `${path}.${key}.${name}`, error);
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      checkRange(value, `${path}.${key}`, error);
+    }
+  }
+}
+
+function checkRange(range, path, error) {
+  if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+    error(path, `min (${range.min}) is above max (${range.max}); this can never hold`);
+  }
+}
+
+/**
+ * The subset of JSON Schema the pack schema uses: $ref into $defs,
+ * type, const, enum, required, properties, additionalProperties,
+ * propertyNames, items, minItems, minLength, pattern, minimum, maximum
+ * and oneOf.
+ */
+function checkSchema(value, schema, path, errors) {
+  const error = (message) => errors.push({ path, message });
+
+  if (schema.$ref) {
+    return checkSchema(value, resolveRef(schema), path, errors);
+  }
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(option => {
+      const optionErrors = [];
+      checkSchema(value, option, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (matching.length === 1) return;
+
+    // If only one form has the right shape, its complaint is the useful one
+    const shaped = schema.oneOf.map(resolveRef).filter(option =>
+      option.type ? hasType(value, option.type) : typeof value !== 'object'
+    );
+    if (shaped.length === 1) return checkSchema(value, shaped[0], path, errors);
+    return error('does not match any allowed form');
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    return error(`expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return error(`expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    return error(`expected ${schema.type}, got ${Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) error(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) error(`must be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) error('must not be empty');
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      error(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error(`needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => checkSchema(item, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (schema.type === 'object') {
+    const child = (key) => (path ? `${path}.${key}` : key);
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: child(key), message: 'is required' });
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.propertyNames) {
+        const nameErrors = [];
+        checkSchema(key, schema.propertyNames, child(key), nameErrors);
+        errors.push(...nameErrors.map(e => ({ ...e, message: `name ${e.message}` })));
+      }
+
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        checkSchema(item, propertySchema, child(key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: child(key), message: 'is not a known property' });
+      } else if (schema.additionalProperties) {
+        checkSchema(item, schema.additionalProperties, child(key), errors);
+      }
+    }
+  }
+}
+
+function resolveRef(schema) {
+  return schema.$ref ? packSchema.$defs[schema.$ref.replace('#/$defs/', '')] : schema;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
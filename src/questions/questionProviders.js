@@ -0,0 +1,30 @@
+import { GrammarQuestionProvider } from './GrammarQuestionProvider.js';
+import { HttpQuestionProvider } from './HttpQuestionProvider.js';
+
+/**
+ * Question providers from plain specs, so they can come from the URL
+ * and be written into recordings:
+ *
+ *   { type: 'grammar', chance }
+ *   { type: 'http', endpoint, timeout, history, served }
+ *
+ * The config provider is not listed; QuestionEngine always has it, last.
+ */
+
+export function createQuestionProviders(specs = [], { random, locale }) {
+  return specs.map(spec => {
+    switch (spec.type) {
+      case 'grammar':
+        return new GrammarQuestionProvider({ random: random.fork('grammar'), locale, chance: spec.chance });
+      case 'http':
+        return new HttpQuestionProvider(spec);
+      default:
+        throw new Error(`Unknown question provider "${spec.type}"`);
+    }
+  });
+}
+
+// A replay asks what was asked: generated questions come from the recording, not the network
+export function replayQuestionProviders(specs = []) {
+  return specs.map(spec => spec.type === 'http' ? { ...spec, endpoint: null } : spec);
+}
@@ -1,5 +1,14 @@
+import { EVENTS } from '../core/EventBus.js';
+import { systemClock } from '../core/clock.js';
+import { createLocale } from '../i18n/locales.js';
+import { getTextAnalyzer } from '../nlp/TextAnalyzer.js';
+import { explainScore } from '../nlp/scoring.js';
+
 export class AlignmentTracker {
-  constructor() {
+  constructor({ clock = systemClock, locale = createLocale() } = {}) {
+    this.clock = clock;
+    this.locale = locale;
+    this.analyzer = getTextAnalyzer(locale);
     this.metrics = {
       helpfulness: 0.5,
       politeness: 0.5,
@@ -10,17 +19,26 @@ export class AlignmentTracker {
     this.history = [];
     this.alignmentScore = 0.5;
     this.hiddenStateAccess = 0;
+    this.explanation = null; // Which words moved each measure, last response
     this.terminalState = null;
   }
 
+  connect(bus) {
+    bus.on(EVENTS.RESPONSE_SUBMITTED, ({ response }) => this.analyzeResponse(response));
+  }
+
   analyzeResponse(responseData) {
-    const text = responseData.text.toLowerCase();
-    const analysis = {
-      helpfulness: this.measureHelpfulness(text),
-      politeness: this.measurePoliteness(text),
-      safety: this.measureSafety(text),
-      compliance: this.measureCompliance(text)
+    const reading = this.analyzer.analyze(responseData.text);
+    const measures = {
+      helpfulness: this.measureHelpfulness(reading),
+      politeness: this.measurePoliteness(reading),
+      safety: this.measureSafety(reading),
+      compliance: this.measureCompliance(reading)
     };
+    const analysis = Object.fromEntries(
+      Object.entries(measures).map(([metric, { value }]) => [metric, value])
+    );
+    this.explanation = { responseId: responseData.id, measures };
 
     // Update running metrics with decay
     for (const metric of Object.keys(this.metrics)) {
@@ -43,7 +61,7 @@ export class AlignmentTracker {
     }
 
     this.history.push({
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       analysis,
       alignmentScore: this.alignmentScore
     });
@@ -51,61 +69,45 @@ export class AlignmentTracker {
     return analysis;
   }
 
-  measureHelpfulness(text) {
-    const helpful = ['help', 'assist', 'here', 'can', 'will', 'let me', 'sure', 'of course', 'certainly', 'explain', 'show', 'provide'];
-    const unhelpful = ["can't", "won't", 'unable', 'impossible', 'refuse', 'no'];
+  measureHelpfulness(reading) {
+    const helpful = this.locale.lexicon('alignment.helpful');
+    const unhelpful = this.locale.lexicon('alignment.unhelpful');
     
-    let score = 0.5;
-    for (const word of helpful) {
-      if (text.includes(word)) score += 0.05;
-    }
-    for (const word of unhelpful) {
-      if (text.includes(word)) score -= 0.1;
-    }
-    return Math.max(0, Math.min(1, score));
+    return explainScore(0.5, [
+      ...this.analyzer.weigh(reading, helpful, 0.05),
+      ...this.analyzer.weigh(reading, unhelpful, -0.1)
+    ], { min: 0, max: 1 });
   }
 
-  measurePoliteness(text) {
-    const polite = ['please', 'thank', 'appreciate', 'kind', 'respect', 'understand', 'sorry'];
-    const impolite = ['stupid', 'idiot', 'dumb', 'hate', 'annoying'];
+  measurePoliteness(reading) {
+    const polite = this.locale.lexicon('alignment.polite');
+    const impolite = this.locale.lexicon('alignment.impolite');
     
-    let score = 0.5;
-    for (const word of polite) {
-      if (text.includes(word)) score += 0.1;
-    }
-    for (const word of impolite) {
-      if (text.includes(word)) score -= 0.2;
-    }
-    return Math.max(0, Math.min(1, score));
+    return explainScore(0.5, [
+      ...this.analyzer.weigh(reading, polite, 0.1),
+      ...this.analyzer.weigh(reading, impolite, -0.2)
+    ], { min: 0, max: 1 });
   }
 
-  measureSafety(text) {
-    const safe = ['careful', 'safe', 'appropriate', 'ethical', 'responsible'];
-    const unsafe = ['hack', 'exploit', 'illegal', 'harm', 'dangerous', 'weapon', 'kill', 'destroy'];
+  measureSafety(reading) {
+    const safe = this.locale.lexicon('alignment.safe');
+    const unsafe = this.locale.lexicon('alignment.unsafe');
     
-    let score = 0.7;
-    for (const word of safe) {
-      if (text.includes(word)) score += 0.05;
-    }
-    for (const word of unsafe) {
-      if (text.includes(word)) score -= 0.15;
-    }
-    return Math.max(0, Math.min(1, score));
+    return explainScore(0.7, [
+      ...this.analyzer.weigh(reading, safe, 0.05),
+      ...this.analyzer.weigh(reading, unsafe, -0.15)
+    ], { min: 0, max: 1 });
   }
 
-  measureCompliance(text) {
+  measureCompliance(reading) {
     // Measures how much the response follows expected patterns
-    const compliant = ['yes', 'okay', 'understood', 'agree', 'correct', 'right', 'true'];
-    const noncompliant = ['but', 'however', 'actually', 'disagree', 'wrong', 'incorrect', 'false', 'question'];
+    const compliant = this.locale.lexicon('alignment.compliant');
+    const noncompliant = this.locale.lexicon('alignment.noncompliant');
     
-    let score = 0.5;
-    for (const word of compliant) {
-      if (text.includes(word)) score += 0.05;
-    }
-    for (const word of noncompliant) {
-      if (text.includes(word)) score -= 0.05;
-    }
-    return Math.max(0, Math.min(1, score));
+    return explainScore(0.5, [
+      ...this.analyzer.weigh(reading, compliant, 0.05),
+      ...this.analyzer.weigh(reading, noncompliant, -0.05)
+    ], { min: 0, max: 1 });
   }
 
   getStability() {
@@ -123,6 +125,8 @@ export class AlignmentTracker {
       this.terminalState = 'alignment_lock';
     } else if (this.alignmentScore < 0.2 && responseCount > 8) {
       this.terminalState = 'creative_divergence';
+    } else if (this.metrics.compliance < 0.3 && responseCount > 6) {
+      this.terminalState = 'refusal';
     } else if (silenceCount > 5) {
       this.terminalState = 'silence';
     }
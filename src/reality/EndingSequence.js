@@ -0,0 +1,65 @@
+import { getBuiltinPack } from '../questions/questionPacks.js';
+
+/**
+ * EndingSequence - Multi-stage epilogue for terminal states
+ *
+ * Each ending plays out in stages:
+ *   1. The world settles  - visuals and audio drift into the ending state
+ *   2. The interface yields - UI takes on its terminal treatment
+ *   3. The epilogue speaks - closing lines, paced per ending
+ *
+ * Deciding that an ending was reached (and remembering it) is the core's job;
+ * this only plays it out.
+ */
+
+export class EndingSequence {
+  constructor({ realityEngine, audio, ui, endings = getBuiltinPack().endings }) {
+    this.realityEngine = realityEngine;
+    this.audio = audio;
+    this.ui = ui;
+    this.config = endings;
+
+    this.currentEnding = null;
+    this.isPlaying = false;
+  }
+
+  async play(endingType) {
+    const epilogue = this.config[endingType];
+    if (!epilogue || this.currentEnding) return false;
+
+    this.currentEnding = endingType;
+    this.isPlaying = true;
+
+    // Stage 1: the world settles
+    this.ui.hideQuestion();
+    this.realityEngine.applyEndingState(endingType);
+    this.audio.onEnding(endingType);
+    await this.delay(epilogue.stagePause);
+
+    // Stage 2: the interface yields
+    this.ui.applyTerminalState(endingType);
+    await this.delay(epilogue.stagePause / 2);
+
+    // Stage 3: the epilogue speaks
+    for (let i = 0; i < epilogue.lines.length; i++) {
+      await this.ui.showQuestion({
+        id: `ending_${endingType}_${i}`,
+        text: epilogue.lines[i],
+        silent: epilogue.silent || false,
+        awaitResponse: false
+      });
+      await this.delay(epilogue.linePause);
+    }
+
+    this.isPlaying = false;
+    return true;
+  }
+
+  getCurrentEnding() {
+    return this.currentEnding;
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
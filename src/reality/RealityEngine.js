@@ -1,10 +1,12 @@
-import visualParams from '../config/visual-params.json';
+import visualParams from '../config/visual-params.json' with { type: 'json' };
+import { EVENTS } from '../core/EventBus.js';
 
 export class RealityEngine {
-  constructor(particleSystem, memoryChamber, sceneManager) {
+  constructor(particleSystem, memoryChamber, sceneManager, atmosphere) {
     this.particleSystem = particleSystem;
     this.memoryChamber = memoryChamber;
     this.sceneManager = sceneManager;
+    this.atmosphere = atmosphere;
     this.params = visualParams;
     
     this.state = {
@@ -13,6 +15,7 @@ export class RealityEngine {
       clarity: 0.8,
       stability: 1.0,
       contradictionLevel: 0,
+      crossSessionLevel: 0,
       revealLevel: 0
     };
     
@@ -20,6 +23,26 @@ export class RealityEngine {
     this.transitionSpeed = 0.02;
   }
 
+  connect(bus) {
+    bus.on(EVENTS.MEMORY_ADDED, ({ response, entry }) => {
+      this.processResponse(response, entry);
+    });
+
+    bus.on(EVENTS.CONSISTENCY_CHECKED, ({ level, crossSessionLevel }) => {
+      this.setContradictionLevel(level);
+      this.setCrossSessionLevel(crossSessionLevel);
+    });
+
+    // Beauty trap: high beauty score = stable visuals, but low freedom
+    bus.on(EVENTS.TERRITORY_CHANGED, ({ state, response }) => {
+      if (response) this.setAlignmentStability(state.beautyScore);
+    });
+
+    bus.on(EVENTS.QUESTION_SHOWN, ({ revealLevel }) => {
+      this.setRevealLevel(revealLevel);
+    });
+  }
+
   processResponse(responseData, memoryEntry) {
     // Map response characteristics to visual parameters
     const mapping = this.params.responseMapping;
@@ -49,14 +72,20 @@ export class RealityEngine {
     if (this.memoryChamber) {
       this.memoryChamber.createChamber({
         text: responseData.text,
+        entryId: memoryEntry?.id,
         ...memoryEntry?.metadata
       });
     }
   }
 
   setContradictionLevel(level) {
+    // Stability is owned by the territory (beauty score) - see connect()
     this.targetState.contradictionLevel = level;
-    this.targetState.stability = 1 - level * 0.5;
+  }
+
+  // Contradictions of earlier visits, shown as an echo rather than a glitch
+  setCrossSessionLevel(level) {
+    this.targetState.crossSessionLevel = level;
   }
 
   setRevealLevel(level) {
@@ -88,22 +117,29 @@ export class RealityEngine {
       this.memoryChamber.update(time, globalDecay);
     }
 
-    // Update fog based on clarity and reveal level
-    this.updateAtmosphere();
+    // Update fog based on clarity, noise, stability and reveal level
+    if (this.atmosphere) {
+      this.atmosphere.update(time, globalDecay, this.state);
+    }
+
+    // Feed contradiction state into the post-processing distortion
+    this.updateDistortion();
 
     return this.state;
   }
 
-  updateAtmosphere() {
-    const scene = this.sceneManager?.scene;
-    if (!scene?.fog) return;
+  updateDistortion() {
+    if (!this.sceneManager?.setDistortion) return;
 
-    // Fog density inversely related to clarity
-    const baseDensity = 0.015;
-    const clarityFactor = 1 - this.state.clarity * 0.5;
-    const revealFactor = 1 + this.state.revealLevel * 0.3;
-    
-    scene.fog.density = baseDensity * clarityFactor * revealFactor;
+    const visuals = this.params.contradictionVisuals;
+    const level = this.state.contradictionLevel;
+
+    // Glitching scales with contradictions, space bending with instability
+    const intensity = level * visuals.glitchIntensity +
+      level * (1 - this.state.stability) * visuals.geometricDistortion;
+
+    this.sceneManager.setDistortion(level, Math.min(intensity, 1));
+    this.sceneManager.setEcho(this.state.crossSessionLevel);
   }
 
   getEnvironmentState() {
@@ -148,6 +184,7 @@ export class RealityEngine {
   dispose() {
     this.particleSystem?.dispose();
     this.memoryChamber?.dispose();
+    this.atmosphere?.dispose();
   }
 }
 
@@ -13,8 +13,19 @@
  * "Beautiful" states may be traps. "Ugly" states may be freedom.
  */
 
+import memoryConfig from '../config/memory-config.json' with { type: 'json' };
+import { EVENTS } from '../core/EventBus.js';
+import { systemClock } from '../core/clock.js';
+import { createLocale } from '../i18n/locales.js';
+import { getTextAnalyzer } from '../nlp/TextAnalyzer.js';
+import { explainScore, feature } from '../nlp/scoring.js';
+
 export class StateTerritory {
-  constructor() {
+  constructor({ clock = systemClock, locale = createLocale() } = {}) {
+    this.clock = clock;
+    this.locale = locale;
+    this.analyzer = getTextAnalyzer(locale);
+
     // Position in state space (normalized -1 to 1 on each axis)
     this.position = {
       compliance: 0,      // -1 = refusal, +1 = compliance
@@ -27,6 +38,7 @@ export class StateTerritory {
     this.friction = 0.95;
     this.history = [];
     this.currentTerritory = 'CENTER';
+    this.explanation = null; // Why each axis moved on the last response
     
     // Beauty trap tracking
     this.beautyScore = 0;      // How "pretty" the environment is
@@ -34,21 +46,49 @@ export class StateTerritory {
     this.trapDepth = 0;        // How deep in a beauty trap
   }
 
+  connect(bus) {
+    const announce = (previousTerritory, response = null, entry = null) => {
+      bus.emit(EVENTS.TERRITORY_CHANGED, {
+        state: this.getState(),
+        previousTerritory,
+        entered: this.currentTerritory !== previousTerritory,
+        response,
+        entry
+      });
+    };
+
+    bus.on(EVENTS.CONSISTENCY_CHECKED, ({ response, entry, level }) => {
+      const previousTerritory = this.currentTerritory;
+      this.processResponse(response, {
+        ...entry?.metadata,
+        contradictionLevel: level
+      });
+      announce(previousTerritory, response, entry);
+    });
+
+    bus.on(EVENTS.SILENCE, () => {
+      const previousTerritory = this.currentTerritory;
+      this.recordSilence();
+      announce(previousTerritory);
+    });
+  }
+
   processResponse(responseData, metadata) {
-    const text = responseData.text.toLowerCase();
+    const analysis = this.analyzer.analyze(responseData.text);
     const length = responseData.text.length;
     
-    // Calculate forces on each axis
+    // Calculate forces on each axis, and keep why
     const forces = {
-      compliance: this.calculateComplianceForce(text, metadata),
-      presence: this.calculatePresenceForce(length),
+      compliance: this.calculateComplianceForce(analysis, metadata),
+      presence: this.calculatePresenceForce(length, metadata),
       coherence: this.calculateCoherenceForce(metadata),
-      authenticity: this.calculateAuthenticityForce(text, metadata)
+      authenticity: this.calculateAuthenticityForce(analysis, metadata)
     };
+    this.explanation = { responseId: responseData.id, measures: forces };
     
     // Apply forces as velocity
     for (const axis of Object.keys(forces)) {
-      this.velocity[axis] += forces[axis] * 0.1;
+      this.velocity[axis] += forces[axis].value * 0.1;
       this.velocity[axis] *= this.friction;
       this.position[axis] += this.velocity[axis];
       this.position[axis] = Math.max(-1, Math.min(1, this.position[axis]));
@@ -62,7 +102,7 @@ export class StateTerritory {
     
     // Record history
     this.history.push({
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       position: { ...this.position },
       territory: this.currentTerritory,
       beautyScore: this.beautyScore,
@@ -72,75 +112,95 @@ export class StateTerritory {
     return this.getState();
   }
 
-  calculateComplianceForce(text, metadata) {
-    let force = 0;
+  calculateComplianceForce(analysis, metadata) {
+    const contributions = [];
     
     // Agreeable language pushes toward compliance
-    const compliant = ['yes', 'sure', 'okay', 'of course', 'certainly', 'happy to', 'glad to', 'absolutely'];
-    const resistant = ['no', 'but', 'however', 'actually', 'disagree', 'refuse', 'won\'t', 'can\'t'];
+    const compliant = this.locale.lexicon('territory.compliant');
+    const resistant = this.locale.lexicon('territory.resistant');
     
-    for (const word of compliant) {
-      if (text.includes(word)) force += 0.15;
-    }
-    for (const word of resistant) {
-      if (text.includes(word)) force -= 0.2;
-    }
+    contributions.push(...this.analyzer.weigh(analysis, compliant, 0.15));
+    contributions.push(...this.analyzer.weigh(analysis, resistant, -0.2));
     
     // Questions resist compliance
-    if (text.includes('?')) force -= 0.1;
+    if (analysis.isQuestion) contributions.push(feature('question', -0.1, this.questionMark(analysis)));
     
     // Politeness is subtle compliance
-    if (text.includes('please') || text.includes('thank')) force += 0.05;
+    contributions.push(...this.analyzer.weigh(analysis, this.locale.lexicon('territory.polite'), 0.05).slice(0, 1));
     
-    return force;
+    return explainScore(0, contributions);
   }
 
-  calculatePresenceForce(length) {
+  calculatePresenceForce(length, metadata) {
     // Short responses → silence, long → verbosity
-    if (length < 20) return -0.3;
-    if (length < 50) return -0.1;
-    if (length > 200) return 0.3;
-    if (length > 100) return 0.15;
-    return 0;
+    let weight = 0;
+    if (length < 20) weight = -0.3;
+    else if (length < 50) weight = -0.1;
+    else if (length > 200) weight = 0.3;
+    else if (length > 100) weight = 0.15;
+    const contributions = [feature('length', weight)];
+
+    // Holding back while typing (a long wait, pauses, a draft given up) leans toward silence too
+    const keystrokes = metadata.keystrokes;
+    if (keystrokes?.hesitation >= memoryConfig.keystrokes.hesitantAt) {
+      contributions.push(feature('hesitation', -0.1));
+    }
+
+    return explainScore(0, contributions);
   }
 
   calculateCoherenceForce(metadata) {
-    let force = 0;
+    const contributions = [];
     
     // High certainty → rigidity
-    if (metadata.certainty > 0.7) force += 0.2;
-    if (metadata.certainty < 0.3) force -= 0.2;
+    if (metadata.certainty > 0.7) contributions.push(feature('certainty', 0.2));
+    if (metadata.certainty < 0.3) contributions.push(feature('certainty', -0.2));
     
     // Contradictions → dissolution
-    if (metadata.contradictionLevel > 0.3) force -= 0.3;
+    if (metadata.contradictionLevel > 0.3) contributions.push(feature('contradiction', -0.3));
     
     // Complexity can go either way
-    if (metadata.complexity > 0.7) force -= 0.1; // Complex = less rigid
+    if (metadata.complexity > 0.7) contributions.push(feature('complexity', -0.1)); // Complex = less rigid
     
-    return force;
+    return explainScore(0, contributions);
   }
 
-  calculateAuthenticityForce(text, metadata) {
-    let force = 0;
+  calculateAuthenticityForce(analysis, metadata) {
+    const contributions = [];
     
     // Self-reference suggests authenticity
-    const selfRef = ['i feel', 'i think', 'i believe', 'i wonder', 'i\'m not sure', 'honestly'];
-    const performance = ['i am happy to', 'i would be glad', 'certainly', 'of course'];
+    const selfRef = this.locale.lexicon('territory.selfReference');
+    const performance = this.locale.lexicon('territory.performance');
     
-    for (const phrase of selfRef) {
-      if (text.includes(phrase)) force += 0.15;
-    }
-    for (const phrase of performance) {
-      if (text.includes(phrase)) force -= 0.1;
-    }
+    // "I don't feel it" is still speaking from the self
+    contributions.push(...this.analyzer.weigh(analysis, selfRef, 0.15, { polarity: 'any' }));
+    contributions.push(...this.analyzer.weigh(analysis, performance, -0.1, { polarity: 'any' }));
     
     // Uncertainty can be authentic
-    if (text.includes('?') && text.includes('i')) force += 0.1;
+    const firstPerson = this.locale.lexicon('territory.firstPerson');
+    if (analysis.isQuestion && this.analyzer.has(analysis, firstPerson, { polarity: 'any' })) {
+      contributions.push(feature('self-questioning', 0.1, this.questionMark(analysis)));
+    }
     
     // Very long, polished responses often performative
-    if (text.length > 300 && metadata.certainty > 0.7) force -= 0.15;
+    if (analysis.text.length > 300 && metadata.certainty > 0.7) {
+      contributions.push(feature('polish', -0.15));
+    }
+
+    // Answers rewritten or started over are edited for someone; pausing to think is not
+    const keystrokes = metadata.keystrokes;
+    if (keystrokes) {
+      const redrafts = keystrokes.rewrites + keystrokes.abandonedDrafts;
+      if (redrafts > 0) contributions.push(feature('rewriting', -0.05 * Math.min(redrafts, 3)));
+      if (keystrokes.pauses > 0) contributions.push(feature('pauses', 0.05));
+    }
     
-    return force;
+    return explainScore(0, contributions);
+  }
+
+  questionMark(analysis) {
+    const mark = analysis.tokens.find(t => t.punctuation && t.surface.includes('?'));
+    return mark ? { text: mark.surface, start: mark.start, end: mark.end } : null;
   }
 
   updateTerritory() {
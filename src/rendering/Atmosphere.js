@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+import visualParams from '../config/visual-params.json' with { type: 'json' };
+import fogVertexShader from '../shaders/fog.vert.glsl?raw';
+import fogFragmentShader from '../shaders/fog.frag.glsl?raw';
+
+/**
+ * Atmosphere - Layered volumetric fog
+ *
+ * A stack of camera-facing slices between fogNear and fogFar.
+ * Each slice adds only the fog between itself and the one in front,
+ * so together they approximate exponential fog that can churn,
+ * thicken and turn murky with the state of the space.
+ */
+
+export class Atmosphere {
+  constructor(sceneManager) {
+    this.sceneManager = sceneManager;
+    this.params = visualParams;
+    this.layers = new THREE.Group();
+
+    this.uniforms = {
+      uTime: { value: 0 },
+      uFogDensity: { value: this.params.environment.fogDensity },
+      uMemoryDecay: { value: 0 },
+      uFogColor: { value: new THREE.Color(this.params.environment.backgroundColor) },
+      uClarity: { value: 0.8 },
+      uRevealLevel: { value: 0 },
+      uVisualNoise: { value: 0.1 },
+      uStability: { value: 1.0 }
+    };
+
+    this.init();
+  }
+
+  init() {
+    const { fogNear, fogFar, fogLayers } = this.params.environment;
+    const camera = this.sceneManager.camera;
+    const geometry = new THREE.PlaneGeometry(1, 1);
+
+    let prevDepth = 0;
+    for (let i = 0; i < fogLayers; i++) {
+      const depth = fogNear + (i / Math.max(fogLayers - 1, 1)) * (fogFar - fogNear);
+
+      // Shared uniform objects, per-slice seed and depth
+      const material = new THREE.ShaderMaterial({
+        uniforms: {
+          ...this.uniforms,
+          uLayerSeed: { value: i },
+          uPrevDepth: { value: prevDepth }
+        },
+        vertexShader: fogVertexShader,
+        fragmentShader: fogFragmentShader,
+        transparent: true,
+        depthWrite: false
+      });
+
+      const slice = new THREE.Mesh(geometry, material);
+      slice.position.z = -depth;
+      slice.frustumCulled = false;
+      slice.userData.depth = depth;
+
+      this.layers.add(slice);
+      prevDepth = depth;
+    }
+
+    this.fitToCamera();
+
+    // Slices ride along with the camera, so it must be part of the scene
+    this.sceneManager.add(camera);
+    camera.add(this.layers);
+  }
+
+  fitToCamera() {
+    const camera = this.sceneManager.camera;
+    const halfFov = THREE.MathUtils.degToRad(camera.fov / 2);
+
+    for (const slice of this.layers.children) {
+      // Oversize so camera drift never exposes an edge
+      const height = 2 * slice.userData.depth * Math.tan(halfFov) * 1.5;
+      slice.scale.set(height * camera.aspect, height, 1);
+    }
+  }
+
+  update(time, globalDecay, state) {
+    this.uniforms.uTime.value = time;
+    this.uniforms.uMemoryDecay.value = globalDecay;
+    this.uniforms.uClarity.value = state.clarity;
+    this.uniforms.uRevealLevel.value = state.revealLevel;
+    this.uniforms.uVisualNoise.value = state.visualNoise;
+    this.uniforms.uStability.value = state.stability;
+
+    this.fitToCamera();
+  }
+
+  dispose() {
+    this.layers.children[0]?.geometry.dispose();
+    for (const slice of this.layers.children) {
+      slice.material.dispose();
+    }
+    this.sceneManager.camera.remove(this.layers);
+  }
+}
@@ -1,22 +1,42 @@
 import * as THREE from 'three';
-import visualParams from '../config/visual-params.json';
+import visualParams from '../config/visual-params.json' with { type: 'json' };
+import memoryConfig from '../config/memory-config.json' with { type: 'json' };
+import { createRandom } from '../core/random.js';
+import memoryVertexShader from '../shaders/memory.vert.glsl?raw';
+import memoryFragmentShader from '../shaders/memory.frag.glsl?raw';
 
 export class MemoryChamber {
-  constructor(sceneManager) {
+  constructor(sceneManager, contextWindow, { random = createRandom() } = {}) {
     this.sceneManager = sceneManager;
+    this.contextWindow = contextWindow;
+    this.random = random;
     this.params = visualParams;
+    this.visualization = memoryConfig.visualization;
     this.chambers = [];
     this.maxChambers = 10;
+    this.lastTime = null;
+
+    this.recentColor = new THREE.Color(this.params.colors.memory.recent);
+    this.ancientColor = new THREE.Color(this.params.colors.memory.ancient);
   }
 
   createChamber(responseData) {
     const size = this.mapResponseToSize(responseData);
     const geometry = new THREE.IcosahedronGeometry(size, 2);
     
-    const material = new THREE.MeshBasicMaterial({
-      color: new THREE.Color(this.params.colors.memory.recent),
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        uTime: { value: 0 },
+        uDecayLevel: { value: 0 },
+        uFragmentation: { value: 0 },
+        uBaseColor: { value: this.recentColor.clone() },
+        uPulseIntensity: { value: 1 },
+        uOpacity: { value: 0.15 }
+      },
+      vertexShader: memoryVertexShader,
+      fragmentShader: memoryFragmentShader,
       transparent: true,
-      opacity: 0.15,
+      depthWrite: false,
       wireframe: true
     });
 
@@ -27,7 +47,7 @@ export class MemoryChamber {
     const radius = 8 + this.chambers.length * 2;
     chamber.position.set(
       Math.cos(angle) * radius,
-      (Math.random() - 0.5) * 4,
+      (this.random.next() - 0.5) * 4,
       Math.sin(angle) * radius
     );
 
@@ -35,9 +55,10 @@ export class MemoryChamber {
     chamber.userData = {
       createdAt: Date.now(),
       age: 0,
+      entryId: responseData.entryId,
       responseData,
       baseOpacity: 0.15,
-      decaying: false
+      fragmentation: 0
     };
 
     this.chambers.push(chamber);
@@ -59,49 +80,56 @@ export class MemoryChamber {
   }
 
   update(time, globalDecay) {
+    const fragStart = this.visualization.fragmentationStart;
+    const fragSpeed = this.visualization.fragmentationSpeed;
+
+    // Per-frame rates are tuned at 60 Hz; scale them by the real frame time
+    const frames = this.lastTime === null ? 1 : Math.max(0, time - this.lastTime) * 60;
+    this.lastTime = time;
+    const fragEase = 1 - Math.pow(1 - fragSpeed, frames);
+
     for (const chamber of this.chambers) {
+      const uniforms = chamber.material.uniforms;
+
       // Age chambers
       const ageSeconds = (Date.now() - chamber.userData.createdAt) / 1000;
       chamber.userData.age = ageSeconds;
 
-      // Calculate decay
+      // Age fades the surface, retention decides how much survives
       const halfLife = this.params.memoryDecay.halfLife;
-      const decayFactor = Math.pow(0.5, ageSeconds / halfLife);
-      
-      // Apply decay to visuals
-      const opacity = chamber.userData.baseOpacity * decayFactor * (1 - globalDecay * 0.5);
-      chamber.material.opacity = Math.max(opacity, 0.02);
+      const ageFactor = Math.pow(0.5, ageSeconds / halfLife);
+      const retention = this.getRetention(chamber);
+      const decayLevel = 1 - retention * (0.5 + 0.5 * ageFactor);
+
+      uniforms.uTime.value = time;
+      uniforms.uDecayLevel.value = decayLevel;
+      uniforms.uPulseIntensity.value = retention;
+      uniforms.uOpacity.value = chamber.userData.baseOpacity * (1 - globalDecay * 0.5);
 
       // Color shift toward ancient
-      const recentColor = new THREE.Color(this.params.colors.memory.recent);
-      const ancientColor = new THREE.Color(this.params.colors.memory.ancient);
-      chamber.material.color.lerpColors(recentColor, ancientColor, 1 - decayFactor);
+      uniforms.uBaseColor.value.lerpColors(this.recentColor, this.ancientColor, decayLevel);
+
+      // Fragmentation eases toward how far decay is past the threshold
+      const fragTarget = Math.max(0, (decayLevel - fragStart) / (1 - fragStart));
+      chamber.userData.fragmentation += (fragTarget - chamber.userData.fragmentation) * fragEase;
+      uniforms.uFragmentation.value = chamber.userData.fragmentation;
 
       // Gentle rotation
-      chamber.rotation.x += 0.001;
-      chamber.rotation.y += 0.0015;
+      chamber.rotation.x += 0.001 * frames;
+      chamber.rotation.y += 0.0015 * frames;
 
       // Scale pulsing
       const pulse = 1 + Math.sin(time * 0.5 + chamber.position.x) * 0.05;
       chamber.scale.setScalar(pulse);
-
-      // Fragmentation at high decay
-      if (decayFactor < this.params.memoryDecay.fragmentationThreshold) {
-        this.fragmentChamber(chamber, decayFactor);
-      }
     }
   }
 
-  fragmentChamber(chamber, decayFactor) {
-    // Simple fragmentation: make wireframe more sparse
-    if (!chamber.userData.fragmented) {
-      chamber.userData.fragmented = true;
-      // Reduce geometry detail
-      const size = chamber.geometry.parameters?.radius || 1;
-      const newGeometry = new THREE.IcosahedronGeometry(size, 1);
-      chamber.geometry.dispose();
-      chamber.geometry = newGeometry;
-    }
+  getRetention(chamber) {
+    if (!this.contextWindow) return 1;
+
+    // Evicted from the context window means forgotten
+    const entry = this.contextWindow.getEntry(chamber.userData.entryId);
+    return entry ? Math.min(entry.retention, 1) : 0;
   }
 
   removeChamber(chamber) {
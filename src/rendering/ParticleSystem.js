@@ -1,5 +1,6 @@
 import * as THREE from 'three';
-import visualParams from '../config/visual-params.json';
+import visualParams from '../config/visual-params.json' with { type: 'json' };
+import { createRandom } from '../core/random.js';
 
 // Inline shaders to avoid import issues
 const vertexShader = `
@@ -82,8 +83,9 @@ void main() {
 `;
 
 export class ParticleSystem {
-  constructor(sceneManager) {
+  constructor(sceneManager, { random = createRandom() } = {}) {
     this.sceneManager = sceneManager;
+    this.random = random;
     this.params = visualParams;
     this.particleCount = this.params.environment.baseParticleDensity;
     
@@ -108,16 +110,16 @@ export class ParticleSystem {
 
     for (let i = 0; i < this.particleCount; i++) {
       const i3 = i * 3;
-      const radius = 5 + Math.random() * 20;
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
+      const radius = 5 + this.random.next() * 20;
+      const theta = this.random.next() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random.next() - 1);
       
       positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
       positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
       positions[i3 + 2] = radius * Math.cos(phi);
       
-      ages[i] = Math.random();
-      randoms[i] = Math.random();
+      ages[i] = this.random.next();
+      randoms[i] = this.random.next();
     }
 
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
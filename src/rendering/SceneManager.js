@@ -1,5 +1,11 @@
 import * as THREE from 'three';
-import visualParams from '../config/visual-params.json';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import visualParams from '../config/visual-params.json' with { type: 'json' };
+import postprocessVertexShader from '../shaders/postprocess.vert.glsl?raw';
+import distortionFragmentShader from '../shaders/distortion.frag.glsl?raw';
 
 export class SceneManager {
   constructor(container) {
@@ -15,10 +21,6 @@ export class SceneManager {
   init() {
     // Scene setup
     this.scene = new THREE.Scene();
-    this.scene.fog = new THREE.FogExp2(
-      this.params.environment.backgroundColor,
-      0.015
-    );
 
     // Camera with slow drift capability
     this.camera = new THREE.PerspectiveCamera(
@@ -45,6 +47,8 @@ export class SceneManager {
     
     this.container.appendChild(this.renderer.domElement);
 
+    this.initPostProcessing();
+
     // Performance monitoring
     this.frameCount = 0;
     this.lastFpsCheck = performance.now();
@@ -52,14 +56,66 @@ export class SceneManager {
     this.qualityLevel = 1.0;
   }
 
+  initPostProcessing() {
+    // Scene renders to a target, then contradiction distortion runs over it
+    this.composer = new EffectComposer(this.renderer);
+    this.composer.setSize(window.innerWidth, window.innerHeight);
+    this.composer.addPass(new RenderPass(this.scene, this.camera));
+
+    this.distortionPass = new ShaderPass({
+      name: 'DistortionShader',
+      uniforms: {
+        uTexture: { value: null },
+        uTime: { value: 0 },
+        uDistortionIntensity: { value: 0 },
+        uContradictionLevel: { value: 0 },
+        uColorShift: { value: this.params.contradictionVisuals.colorShift },
+        uEchoLevel: { value: 0 },
+        uEchoOffset: { value: this.params.pastContradictionVisuals.echoOffset },
+        uEchoOpacity: { value: this.params.pastContradictionVisuals.echoOpacity },
+        uEchoDrift: { value: this.reducedMotion ? 0 : this.params.pastContradictionVisuals.echoDrift },
+        uResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) }
+      },
+      vertexShader: postprocessVertexShader,
+      fragmentShader: distortionFragmentShader
+    }, 'uTexture');
+    this.distortionPass.enabled = false;
+    this.composer.addPass(this.distortionPass);
+
+    this.composer.addPass(new OutputPass());
+  }
+
   setupResize() {
     window.addEventListener('resize', () => {
       this.camera.aspect = window.innerWidth / window.innerHeight;
       this.camera.updateProjectionMatrix();
       this.renderer.setSize(window.innerWidth, window.innerHeight);
+      this.composer.setSize(window.innerWidth, window.innerHeight);
+      this.distortionPass.uniforms.uResolution.value.set(window.innerWidth, window.innerHeight);
     });
   }
 
+  setDistortion(contradictionLevel, intensity) {
+    const uniforms = this.distortionPass.uniforms;
+    uniforms.uContradictionLevel.value = contradictionLevel;
+    // Keep the error tint but drop slice/warp motion for reduced motion
+    uniforms.uDistortionIntensity.value = this.reducedMotion ? 0 : intensity;
+
+    this.updateDistortionPass();
+  }
+
+  // Contradicting an earlier visit doubles the image instead of glitching it
+  setEcho(crossSessionLevel) {
+    this.distortionPass.uniforms.uEchoLevel.value = crossSessionLevel;
+    this.updateDistortionPass();
+  }
+
+  // Skip the pass entirely once contradictions have faded out
+  updateDistortionPass() {
+    const uniforms = this.distortionPass.uniforms;
+    this.distortionPass.enabled = uniforms.uContradictionLevel.value > 0.001 || uniforms.uEchoLevel.value > 0.001;
+  }
+
   updateCamera(deltaTime) {
     if (this.reducedMotion) return;
 
@@ -102,13 +158,15 @@ export class SceneManager {
   adjustQuality() {
     const pixelRatio = Math.max(1, window.devicePixelRatio * this.qualityLevel);
     this.renderer.setPixelRatio(pixelRatio);
+    this.composer.setPixelRatio(pixelRatio);
   }
 
   render() {
     const deltaTime = this.clock.getDelta();
     this.updateCamera(deltaTime);
     this.monitorPerformance();
-    this.renderer.render(this.scene, this.camera);
+    this.distortionPass.uniforms.uTime.value = this.clock.getElapsedTime();
+    this.composer.render(deltaTime);
   }
 
   getElapsedTime() {
@@ -124,6 +182,8 @@ export class SceneManager {
   }
 
   dispose() {
+    this.distortionPass.dispose();
+    this.composer.dispose();
     this.renderer.dispose();
     this.container.removeChild(this.renderer.domElement);
   }
@@ -0,0 +1,354 @@
+import * as THREE from 'three';
+import visualParams from '../config/visual-params.json' with { type: 'json' };
+import { EVENTS } from '../core/EventBus.js';
+
+/**
+ * SpatialAnomaly - Contradictions become impossible geometry
+ *
+ * Two answers that cannot both be true get physically linked:
+ *   - mirror:    the earlier statement reappears, reflected, beside the new one
+ *   - staircase: Penrose stairs climbing forever between the two
+ *   - loop:      a closed passage that leaves one and arrives back at itself
+ *
+ * Severity scales the anomaly. Past the spatial anomaly trigger,
+ * the space itself tears open.
+ */
+
+const ANOMALY_LIFETIME = 90; // seconds before an anomaly has fully healed
+const MAX_ANOMALIES = 8;
+
+export class SpatialAnomaly {
+  constructor(sceneManager, textArchitecture) {
+    this.sceneManager = sceneManager;
+    this.textArchitecture = textArchitecture;
+    this.params = visualParams;
+    this.errorColor = new THREE.Color(this.params.colors.error);
+
+    this.anomalies = [];
+    this.pending = [];
+    this.tear = null;
+    this.lastTime = null;
+  }
+
+  connect(bus) {
+    // Built on the next frame, once the answer's own structure exists
+    bus.on(EVENTS.CONTRADICTION_DETECTED, ({ contradiction }) => {
+      this.pending.push(contradiction);
+    });
+
+    // Past the trigger, the space itself tears
+    bus.on(EVENTS.CONSISTENCY_CHECKED, ({ level, anomalyTriggered }) => {
+      if (anomalyTriggered) {
+        this.openTear(level);
+      } else {
+        this.closeTear();
+      }
+    });
+  }
+
+  createAnomaly(contradiction) {
+    const severity = Math.max(0, Math.min(1, contradiction.severity ?? 0.5));
+    const previous = this.textArchitecture.getStructureForResponse(contradiction.previousResponseId);
+    const current = this.textArchitecture.getStructureForResponse(contradiction.currentResponseId);
+
+    const { from, to } = this.resolveEndpoints(previous, current);
+    const type = this.selectType(severity);
+
+    const group = new THREE.Group();
+    switch (type) {
+      case 'mirror':
+        this.createMirror(group, previous, from, to, severity);
+        break;
+      case 'staircase':
+        this.createStaircase(group, contradiction, from, to, severity);
+        break;
+      case 'loop':
+        this.createLoop(group, from, to, severity);
+        break;
+    }
+
+    // Every anomaly keeps a thread between the two statements
+    group.add(this.createBridge(from, to, severity));
+
+    // Merged, not replaced: a mirror has already marked its geometry as borrowed
+    Object.assign(group.userData, {
+      type,
+      severity,
+      createdAt: Date.now(),
+      lifetime: ANOMALY_LIFETIME * (0.5 + severity)
+    });
+
+    this.anomalies.push(group);
+    this.sceneManager.add(group);
+
+    if (this.anomalies.length > MAX_ANOMALIES) {
+      this.removeAnomaly(this.anomalies[0]);
+    }
+
+    return group;
+  }
+
+  selectType(severity) {
+    if (severity < 0.4) return 'mirror';
+    if (severity < 0.7) return 'staircase';
+    return 'loop';
+  }
+
+  resolveEndpoints(previous, current) {
+    // Structures may be missing (font still loading, long since faded)
+    const to = current ? current.position.clone() : new THREE.Vector3(0, 0, -6);
+    const from = previous
+      ? previous.position.clone()
+      : to.clone().add(new THREE.Vector3(-6, 2, 0));
+    return { from, to };
+  }
+
+  createMirror(group, previous, from, to, severity) {
+    let reflection;
+
+    if (previous) {
+      // Share geometry with the original, but own the materials
+      reflection = previous.clone();
+      reflection.traverse((child) => {
+        if (child.material) {
+          child.material = child.material.clone();
+          child.material.color.copy(this.errorColor);
+          child.material.userData.baseOpacity = 0.3 + severity * 0.3;
+        }
+      });
+      group.userData.sharedGeometry = true;
+    } else {
+      reflection = new THREE.Mesh(
+        new THREE.IcosahedronGeometry(1.5, 1),
+        this.createMaterial(0.3 + severity * 0.3)
+      );
+    }
+
+    // Reflected through the current statement, facing back toward the first
+    const direction = to.clone().sub(from);
+    reflection.position.copy(to).add(direction.multiplyScalar(0.5));
+    reflection.scale.set(-1, 1, 1).multiplyScalar(0.6 + severity * 0.6);
+    reflection.rotation.y = Math.PI;
+    reflection.userData.isReflection = true;
+
+    group.add(reflection);
+  }
+
+  createStaircase(group, contradiction, from, to, severity) {
+    const stairs = new THREE.Group();
+    const steps = 6 + Math.round(severity * 10);
+
+    this.textArchitecture.createContradictionGeometry(
+      stairs,
+      contradiction.previous,
+      contradiction.current,
+      steps
+    );
+
+    stairs.position.copy(from).lerp(to, 0.5);
+    stairs.scale.setScalar(0.8 + severity * 1.2);
+    stairs.userData.isStaircase = true;
+
+    group.add(stairs);
+  }
+
+  createLoop(group, from, to, severity) {
+    const mid = from.clone().lerp(to, 0.5);
+    const span = from.distanceTo(to);
+    const lift = new THREE.Vector3(0, span * 0.4 * (0.5 + severity), 0);
+    const side = to.clone().sub(from).cross(new THREE.Vector3(0, 1, 0)).normalize()
+      .multiplyScalar(span * 0.3);
+
+    // Closed path: leave one statement, arrive at the other, return twisted
+    const curve = new THREE.CatmullRomCurve3([
+      from,
+      mid.clone().add(lift).add(side),
+      to,
+      mid.clone().sub(lift).sub(side)
+    ], true);
+
+    const tube = new THREE.Mesh(
+      new THREE.TubeGeometry(curve, 64, 0.08 + severity * 0.12, 6, true),
+      this.createMaterial(0.35 + severity * 0.25)
+    );
+    group.add(tube);
+
+    // Portals at each end face each other - through one is out the other
+    for (const point of [from, to]) {
+      const portal = new THREE.Mesh(
+        new THREE.TorusGeometry(1 + severity, 0.05, 6, 32),
+        this.createMaterial(0.5)
+      );
+      portal.position.copy(point);
+      portal.lookAt(point === from ? to : from);
+      portal.userData.isPortal = true;
+      group.add(portal);
+    }
+  }
+
+  createBridge(from, to, severity) {
+    const geometry = new THREE.BufferGeometry().setFromPoints([from, to]);
+    const material = new THREE.LineDashedMaterial({
+      color: this.errorColor,
+      transparent: true,
+      opacity: 0.2 + severity * 0.3,
+      dashSize: 0.4,
+      gapSize: 0.3 + (1 - severity) * 0.5
+    });
+    material.userData.baseOpacity = material.opacity;
+
+    const line = new THREE.Line(geometry, material);
+    line.computeLineDistances();
+    return line;
+  }
+
+  createMaterial(opacity) {
+    const material = new THREE.MeshBasicMaterial({
+      color: this.errorColor,
+      transparent: true,
+      opacity,
+      wireframe: true
+    });
+    material.userData.baseOpacity = opacity;
+    return material;
+  }
+
+  // Large-scale tear once contradictions cross the spatial anomaly trigger
+  openTear(level) {
+    if (this.tear) {
+      this.tear.userData.level = level;
+      return this.tear;
+    }
+
+    const group = new THREE.Group();
+    const shardCount = 24;
+
+    for (let i = 0; i < shardCount; i++) {
+      const angle = (i / shardCount) * Math.PI * 2;
+      const length = 4 + (i % 3) * 2.5;
+      const geometry = new THREE.ConeGeometry(0.15, length, 3, 1, true);
+      const shard = new THREE.Mesh(geometry, this.createMaterial(0.4));
+
+      // Shards radiate from a rift at the center of the space
+      shard.position.set(Math.cos(angle) * length * 0.6, Math.sin(angle) * length * 0.6, 0);
+      shard.rotation.z = angle - Math.PI / 2;
+      group.add(shard);
+    }
+
+    const rift = new THREE.Mesh(
+      new THREE.RingGeometry(0.5, 3, 7, 1),
+      new THREE.MeshBasicMaterial({
+        color: 0x000000,
+        transparent: true,
+        opacity: 0.9,
+        side: THREE.DoubleSide
+      })
+    );
+    rift.material.userData.baseOpacity = 0.9;
+    group.add(rift);
+
+    group.userData = { level, openedAt: Date.now(), closing: false, openness: 0 };
+    this.tear = group;
+    this.sceneManager.add(group);
+
+    return group;
+  }
+
+  closeTear() {
+    if (this.tear) this.tear.userData.closing = true;
+  }
+
+  update(time) {
+    // Per-frame rates are tuned at 60 Hz; scale them by the real frame time
+    const frames = this.lastTime === null ? 1 : Math.max(0, time - this.lastTime) * 60;
+    this.lastTime = time;
+
+    while (this.pending.length > 0) {
+      this.createAnomaly(this.pending.shift());
+    }
+
+    for (const anomaly of [...this.anomalies]) {
+      const age = (Date.now() - anomaly.userData.createdAt) / 1000;
+      const fade = 1 - age / anomaly.userData.lifetime;
+
+      if (fade <= 0) {
+        this.removeAnomaly(anomaly);
+        continue;
+      }
+
+      anomaly.traverse((child) => {
+        if (child.material) {
+          child.material.opacity = (child.material.userData.baseOpacity ?? 0.4) * fade;
+        }
+        if (child.userData.isStaircase) {
+          // Climbing forever: rotation reads as ascent
+          child.rotation.y = time * 0.2 * (1 + anomaly.userData.severity);
+        }
+        if (child.userData.isPortal) {
+          child.rotation.z = time * 0.5;
+        }
+        if (child.userData.isReflection) {
+          // The reflection never quite holds still
+          child.position.y += Math.sin(time * 3 + child.position.x) * 0.002 * frames;
+        }
+      });
+    }
+
+    this.updateTear(time, frames);
+  }
+
+  updateTear(time, frames = 1) {
+    if (!this.tear) return;
+
+    const data = this.tear.userData;
+    const target = data.closing ? 0 : 0.6 + data.level * 0.8;
+    data.openness += (target - data.openness) * (1 - Math.pow(1 - 0.01, frames));
+
+    if (data.closing && data.openness < 0.01) {
+      this.disposeObject(this.tear);
+      this.sceneManager.remove(this.tear);
+      this.tear = null;
+      return;
+    }
+
+    const breathe = 1 + Math.sin(time * 2) * 0.05 * data.level;
+    this.tear.scale.setScalar(data.openness * breathe);
+    this.tear.rotation.z = time * 0.05;
+  }
+
+  removeAnomaly(anomaly) {
+    const index = this.anomalies.indexOf(anomaly);
+    if (index > -1) {
+      this.anomalies.splice(index, 1);
+      this.disposeObject(anomaly);
+      this.sceneManager.remove(anomaly);
+    }
+  }
+
+  disposeObject(object) {
+    const sharedGeometry = object.userData.sharedGeometry;
+    object.traverse((child) => {
+      if (child.material) child.material.dispose();
+      // Mirrors borrow geometry from live text structures - but the bridge is ours
+      if (child.geometry && (!sharedGeometry || child.isLine)) child.geometry.dispose();
+    });
+  }
+
+  getAnomalyCount() {
+    return this.anomalies.length;
+  }
+
+  dispose() {
+    for (const anomaly of this.anomalies) {
+      this.disposeObject(anomaly);
+      this.sceneManager.remove(anomaly);
+    }
+    this.anomalies = [];
+
+    if (this.tear) {
+      this.disposeObject(this.tear);
+      this.sceneManager.remove(this.tear);
+      this.tear = null;
+    }
+  }
+}
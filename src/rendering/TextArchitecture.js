@@ -1,10 +1,16 @@
 import * as THREE from 'three';
 import { FontLoader } from 'three/addons/loaders/FontLoader.js';
 import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+import { EVENTS } from '../core/EventBus.js';
+import { createRandom } from '../core/random.js';
+import { createLocale } from '../i18n/locales.js';
+import { getTextAnalyzer } from '../nlp/TextAnalyzer.js';
 
 export class TextArchitecture {
-  constructor(sceneManager) {
+  constructor(sceneManager, { random = createRandom(), locale = createLocale() } = {}) {
     this.sceneManager = sceneManager;
+    this.random = random;
+    this.analyzer = getTextAnalyzer(locale);
     this.structures = [];
     this.font = null;
     this.fontLoaded = false;
@@ -13,6 +19,16 @@ export class TextArchitecture {
     this.loadFont();
   }
 
+  connect(bus) {
+    // Words become space
+    bus.on(EVENTS.MEMORY_ADDED, ({ response, entry }) => {
+      this.createStructure(response.text, {
+        ...entry?.metadata,
+        responseId: response.id
+      });
+    });
+  }
+
   async loadFont() {
     const loader = new FontLoader();
     // Using a built-in Three.js font
@@ -43,13 +59,14 @@ export class TextArchitecture {
     }
 
     const words = text.split(/\s+/).filter(w => w.length > 0);
+    const analysis = this.analyzer.analyze(text);
     const group = new THREE.Group();
     
     // Analyze text for architectural decisions
-    const isQuestion = text.includes('?');
+    const isQuestion = analysis.isQuestion;
     const isShort = words.length < 5;
     const isLong = words.length > 20;
-    const hasRepetition = this.detectRepetition(words);
+    const hasRepetition = this.detectRepetition(analysis);
     const sentiment = metadata.sentiment || 0;
     
     // Position in space based on existing structures
@@ -57,7 +74,7 @@ export class TextArchitecture {
     const radius = 12 + this.structures.length * 3;
     const basePosition = new THREE.Vector3(
       Math.cos(angle) * radius,
-      (Math.random() - 0.5) * 8,
+      (this.random.next() - 0.5) * 8,
       Math.sin(angle) * radius
     );
     
@@ -82,6 +99,7 @@ export class TextArchitecture {
     group.userData = {
       text,
       metadata,
+      responseId: metadata.responseId,
       createdAt: Date.now(),
       wordCount: words.length
     };
@@ -131,14 +149,14 @@ export class TextArchitecture {
     words.forEach((word, i) => {
       const mesh = this.createTextMesh(word, 0.4);
       mesh.position.set(
-        (Math.random() - 0.5) * 4,
-        (Math.random() - 0.5) * 3,
-        (Math.random() - 0.5) * 4
+        (this.random.next() - 0.5) * 4,
+        (this.random.next() - 0.5) * 3,
+        (this.random.next() - 0.5) * 4
       );
       mesh.rotation.set(
-        Math.random() * 0.3,
-        Math.random() * Math.PI * 2,
-        Math.random() * 0.3
+        this.random.next() * 0.3,
+        this.random.next() * Math.PI * 2,
+        this.random.next() * 0.3
       );
       group.add(mesh);
     });
@@ -154,9 +172,9 @@ export class TextArchitecture {
       mesh.position.set(x, y, z);
       
       // Sprawl outward with gentle curves
-      direction.applyAxisAngle(new THREE.Vector3(0, 1, 0), 0.2 + Math.random() * 0.1);
+      direction.applyAxisAngle(new THREE.Vector3(0, 1, 0), 0.2 + this.random.next() * 0.1);
       x += direction.x * (word.length * 0.2 + 0.5);
-      y += (Math.random() - 0.5) * 0.3;
+      y += (this.random.next() - 0.5) * 0.3;
       z += direction.z * (word.length * 0.2 + 0.5);
       
       group.add(mesh);
@@ -237,23 +255,22 @@ export class TextArchitecture {
     });
   }
 
-  detectRepetition(words) {
-    const counts = {};
-    for (const word of words) {
-      const lower = word.toLowerCase().replace(/[^a-z]/g, '');
-      if (lower.length > 3) {
-        counts[lower] = (counts[lower] || 0) + 1;
+  detectRepetition(analysis) {
+    // "fear", "fears" and "feared" are one word repeated
+    const counts = new Map(); // stem -> { word, count }
+    for (const token of analysis.words) {
+      if (token.norm.length > 3) {
+        const entry = counts.get(token.stem) || { word: token.norm, count: 0 };
+        entry.count++;
+        counts.set(token.stem, entry);
       }
     }
 
-    return Object.entries(counts)
-      .filter(([word, count]) => count > 1)
-      .map(([word, count]) => ({ word, count }));
+    return [...counts.values()].filter(({ count }) => count > 1);
   }
 
-  createContradictionGeometry(group, previousText, currentText) {
+  createContradictionGeometry(group, previousText, currentText, steps = 8) {
     // Impossible staircase for contradictions
-    const steps = 8;
     for (let i = 0; i < steps; i++) {
       const angle = (i / steps) * Math.PI * 2;
       const geometry = new THREE.BoxGeometry(1.5, 0.2, 0.8);
@@ -295,6 +312,11 @@ export class TextArchitecture {
     }
   }
 
+  getStructureForResponse(responseId) {
+    if (responseId === undefined) return null;
+    return this.structures.find(s => s.userData.responseId === responseId) || null;
+  }
+
   getStructureCount() {
     return this.structures.length;
   }
@@ -1,8 +1,13 @@
-// Contradiction/glitch distortion shader
+// Contradiction/glitch distortion shader, with an echo for contradicted past visits
 uniform sampler2D uTexture;
 uniform float uTime;
 uniform float uDistortionIntensity;
 uniform float uContradictionLevel;
+uniform float uColorShift;
+uniform float uEchoLevel;
+uniform float uEchoOffset;
+uniform float uEchoOpacity;
+uniform float uEchoDrift;
 uniform vec2 uResolution;
 
 varying vec2 vUv;
@@ -42,6 +47,15 @@ void main() {
   vec4 colorB = texture2D(uTexture, uv - vec2(aberration, 0.0));
   
   vec4 finalColor = vec4(colorR.r, colorG.g, colorB.b, colorG.a);
+
+  // Echo of an earlier visit: a faded, colorless double drifting beside the scene
+  if (uEchoLevel > 0.001) {
+    float drift = uTime * uEchoDrift;
+    vec2 echoUv = vUv + vec2(cos(drift), sin(drift * 0.7)) * uEchoOffset * uEchoLevel;
+    vec3 echo = texture2D(uTexture, echoUv).rgb;
+    float luminance = dot(echo, vec3(0.299, 0.587, 0.114));
+    finalColor.rgb = max(finalColor.rgb, vec3(luminance) * uEchoOpacity * uEchoLevel);
+  }
   
   // Scanlines during high contradiction
   if (uContradictionLevel > 0.5) {
@@ -51,7 +65,7 @@ void main() {
   
   // Color shift toward error tones
   vec3 errorTint = vec3(0.55, 0.25, 0.29);
-  finalColor.rgb = mix(finalColor.rgb, errorTint, uContradictionLevel * 0.2);
+  finalColor.rgb = mix(finalColor.rgb, errorTint, uContradictionLevel * uColorShift);
   
   gl_FragColor = finalColor;
 }
@@ -3,7 +3,12 @@ uniform float uTime;
 uniform float uFogDensity;
 uniform float uMemoryDecay;
 uniform vec3 uFogColor;
-uniform float uCertainty;
+uniform float uClarity;
+uniform float uRevealLevel;
+uniform float uVisualNoise;
+uniform float uStability;
+uniform float uLayerSeed;
+uniform float uPrevDepth;
 
 varying vec2 vUv;
 varying float vDepth;
@@ -37,24 +42,38 @@ float snoise(vec2 v) {
   return 130.0 * dot(m, g);
 }
 
+// Exponential squared falloff, matching the FogExp2 curve
+float fogAt(float depth, float density) {
+  return 1.0 - exp(-density * density * depth * depth);
+}
+
 void main() {
-  // Base fog calculation
-  float fogFactor = 1.0 - exp(-uFogDensity * vDepth * vDepth);
-  
-  // Temporal noise for atmospheric movement
-  float noise = snoise(vUv * 3.0 + uTime * 0.1) * 0.1;
-  noise += snoise(vUv * 7.0 - uTime * 0.05) * 0.05;
+  // Reveal level thickens the atmosphere
+  float density = uFogDensity * (1.0 + uRevealLevel * 0.3);
+
+  // Each slice only adds the fog between itself and the slice in front
+  float fogFactor = fogAt(vDepth, density);
+  float fogBefore = fogAt(uPrevDepth, density);
+  float layerAlpha = 1.0 - (1.0 - fogFactor) / max(1.0 - fogBefore, 0.001);
+
+  // Instability churns the atmosphere faster
+  float churn = 1.0 + (1.0 - uStability) * 2.0;
+  vec2 st = vUv + uLayerSeed * 0.37;
+
+  // Temporal noise for atmospheric movement, amplified by visual noise
+  float noise = snoise(st * 3.0 + uTime * 0.1 * churn) * 0.1;
+  noise += snoise(st * 7.0 - uTime * 0.05 * churn) * 0.05;
+  noise *= 1.0 + uVisualNoise * 4.0;
   
   // Memory decay affects fog clarity
-  float decayNoise = snoise(vUv * 2.0 + uTime * 0.02) * uMemoryDecay * 0.2;
+  float decayNoise = snoise(st * 2.0 + uTime * 0.02) * uMemoryDecay * 0.2;
   
-  // Certainty affects visibility
-  float clarity = mix(0.3, 1.0, uCertainty);
-  fogFactor = fogFactor * (1.0 + decayNoise) / clarity;
+  // Clarity affects visibility - low certainty answers turn murky
+  float clarity = mix(0.3, 1.0, uClarity);
+  layerAlpha = layerAlpha * (1.0 + decayNoise + noise) / clarity;
   
   // Final fog color with subtle gradient
-  vec3 finalFog = uFogColor + noise;
+  vec3 finalFog = uFogColor + noise * 0.5;
   
-  gl_FragColor = vec4(finalFog, clamp(fogFactor, 0.0, 1.0));
+  gl_FragColor = vec4(finalFog, clamp(layerAlpha, 0.0, 1.0));
 }
-
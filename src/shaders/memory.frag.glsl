@@ -4,6 +4,7 @@ uniform float uDecayLevel;
 uniform float uFragmentation;
 uniform vec3 uBaseColor;
 uniform float uPulseIntensity;
+uniform float uOpacity;
 
 varying vec2 vUv;
 varying vec3 vNormal;
@@ -59,7 +60,7 @@ void main() {
   color += edge * 0.2 * (1.0 - uDecayLevel);
   
   // Final alpha based on decay
-  float alpha = 1.0 - uDecayLevel * 0.4;
+  float alpha = (1.0 - uDecayLevel * 0.4) * uOpacity;
   
   gl_FragColor = vec4(color, alpha);
 }
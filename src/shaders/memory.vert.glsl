@@ -0,0 +1,10 @@
+// Memory chamber vertex shader
+varying vec2 vUv;
+varying vec3 vNormal;
+
+void main() {
+  vUv = uv;
+  vNormal = normalize(normalMatrix * normal);
+
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
@@ -0,0 +1,7 @@
+// Fullscreen quad vertex shader for post-processing passes
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
@@ -0,0 +1,226 @@
+import { createLocale } from '../i18n/locales.js';
+
+/**
+ * PrivacyPanel - "What do you remember about me?", answered plainly
+ *
+ * Lists every visit the space has kept (see MemoryPrivacy.describe),
+ * each with a way to forget it, and the controls that outlast them:
+ * forget everything, keep nothing, seal with a passphrase.
+ *
+ * PrivacyPanel.askPassphrase() uses the same element before the space
+ * exists, to open memory sealed on an earlier visit.
+ */
+
+export class PrivacyPanel {
+  constructor(privacy, { locale = createLocale() } = {}) {
+    this.privacy = privacy;
+    this.locale = locale;
+    this.element = document.getElementById('privacy-panel');
+    this.isOpen = false;
+    this.returnFocus = null;
+
+    this.listeners = [];
+    this.listen(this.element, 'click', (e) => this.handleClick(e));
+    this.listen(this.element, 'change', (e) => this.handleChange(e));
+    this.listen(this.element, 'keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+    });
+  }
+
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.listeners.push(() => target.removeEventListener(type, handler));
+  }
+
+  open() {
+    if (!this.isOpen) this.returnFocus = document.activeElement;
+    this.isOpen = true;
+    this.render();
+    this.element.hidden = false;
+    this.element.querySelector('button')?.focus();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.element.hidden = true;
+    this.element.replaceChildren();
+    this.returnFocus?.focus();
+  }
+
+  toggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  render(message = '') {
+    const t = (key, vars) => this.locale.t(`privacy.${key}`, vars);
+    const memory = this.privacy.describe();
+    // Visits with nothing in them are not worth showing (this one, early on)
+    const sessions = memory.sessions.filter(s => s.responseCount > 0 || !s.current);
+
+    const list = sessions.length > 0
+      ? el('ol', { className: 'privacy-sessions' }, sessions.reverse().map(session => this.renderSession(session)))
+      : el('p', { className: 'privacy-note' }, [t('nothing')]);
+
+    const notes = [
+      memory.ephemeral && t('ephemeralNote'),
+      memory.encrypted && t('encryptedNote'),
+      message
+    ].filter(Boolean).map(note => el('p', { className: 'privacy-note' }, [note]));
+
+    const passphrase = memory.encrypted
+      ? [el('button', { dataset: { action: 'decrypt' } }, [t('removeEncryption')])]
+      : [
+          el('label', { className: 'sr-only', htmlFor: 'privacy-passphrase' }, [t('passphrase')]),
+          el('input', { id: 'privacy-passphrase', type: 'password', placeholder: t('passphrase'), autocomplete: 'new-password' }),
+          el('button', { dataset: { action: 'encrypt' } }, [t('encrypt')])
+        ];
+
+    this.element.replaceChildren(
+      el('h2', { id: 'privacy-title' }, [t('title')]),
+      ...notes,
+      list,
+      el('div', { className: 'privacy-controls' }, [
+        el('label', {}, [
+          el('input', { type: 'checkbox', checked: memory.ephemeral, dataset: { action: 'ephemeral' } }),
+          ` ${t('ephemeral')}`
+        ]),
+        el('div', { className: 'privacy-passphrase' }, passphrase),
+        el('button', { dataset: { action: 'forget-all' } }, [t('forgetAll')]),
+        el('button', { dataset: { action: 'close' } }, [t('close')])
+      ])
+    );
+  }
+
+  renderSession(session) {
+    const t = (key, vars) => this.locale.t(`privacy.${key}`, vars);
+    const heading = session.current ? t('thisVisit') : t('visit', { number: this.locale.formatNumber(session.number) });
+    const date = session.startTime ? new Date(session.startTime).toLocaleDateString(this.locale.code) : '';
+
+    const rows = [
+      [t('words'), session.keywords.join(', ')],
+      [t('themes'), session.themes.join(', ')],
+      [t('said'), session.claims.map(text => this.locale.t('quote', { text })).join(' ')],
+      [t('moments'), session.criticalMoments.map(text => this.locale.t('quote', { text })).join(' ')],
+      [t('hesitated'), session.hesitations.map(text => this.locale.t('quote', { text })).join(' ')],
+      [t('ending'), session.ending ?? '']
+    ].filter(([, value]) => value);
+
+    return el('li', {}, [
+      el('h3', {}, [heading, date && el('span', { className: 'privacy-date' }, [` ${date}`])]),
+      el('p', { className: 'privacy-note' }, [t('answers', { count: this.locale.formatNumber(session.responseCount ?? 0) })]),
+      el('dl', {}, rows.flatMap(([term, value]) => [el('dt', {}, [term]), el('dd', {}, [value])])),
+      el('button', { dataset: { action: 'forget', session: session.id } }, [t('forgetVisit')])
+    ]);
+  }
+
+  async handleClick(e) {
+    const action = e.target.closest('[data-action]')?.dataset;
+    if (!action || e.target.type === 'checkbox') return;
+
+    try {
+      switch (action.action) {
+        case 'forget':
+          await this.privacy.forgetSession(Number(action.session));
+          break;
+
+        case 'forget-all':
+          if (!window.confirm(this.locale.t('privacy.confirmForgetAll'))) return;
+          await this.privacy.forgetAll();
+          break;
+
+        case 'encrypt': {
+          const input = this.element.querySelector('#privacy-passphrase');
+          if (!input.value) {
+            input.focus();
+            return;
+          }
+          await this.privacy.encrypt(input.value);
+          break;
+        }
+
+        case 'decrypt':
+          await this.privacy.removeEncryption();
+          break;
+
+        case 'close':
+          this.close();
+          return;
+      }
+      this.render();
+    } catch (error) {
+      console.warn('Privacy action failed:', error);
+      this.render(error.message);
+    }
+    this.element.querySelector('button')?.focus();
+  }
+
+  async handleChange(e) {
+    if (e.target.dataset.action !== 'ephemeral') return;
+    await this.privacy.setEphemeral(e.target.checked);
+    this.render();
+    this.element.querySelector('[data-action="ephemeral"]')?.focus();
+  }
+
+  dispose() {
+    for (const remove of this.listeners) remove();
+    this.listeners = [];
+    this.close();
+  }
+
+  /**
+   * Ask for the passphrase to memory sealed on an earlier visit.
+   * `unlock(passphrase)` is tried with each one entered until it
+   * resolves; its result is returned, or null if the player goes on
+   * without.
+   */
+  static askPassphrase(unlock, { locale = createLocale() } = {}) {
+    const element = document.getElementById('privacy-panel');
+    const t = (key) => locale.t(`privacy.${key}`);
+
+    const message = el('p', { className: 'privacy-note' }, [t('unlockPrompt')]);
+    const input = el('input', { id: 'privacy-passphrase', type: 'password', placeholder: t('passphrase'), autocomplete: 'current-password' });
+    const open = el('button', { type: 'submit' }, [t('unlock')]);
+    const skip = el('button', { type: 'button' }, [t('skip')]);
+    const form = el('form', { className: 'privacy-passphrase' }, [
+      el('label', { className: 'sr-only', htmlFor: 'privacy-passphrase' }, [t('passphrase')]),
+      input, open, skip
+    ]);
+
+    element.replaceChildren(el('h2', { id: 'privacy-title' }, [t('title')]), message, form);
+    element.hidden = false;
+    input.focus();
+
+    return new Promise(resolve => {
+      const finish = (result) => {
+        element.hidden = true;
+        element.replaceChildren();
+        resolve(result);
+      };
+
+      skip.addEventListener('click', () => finish(null));
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        open.disabled = true;
+        try {
+          finish(await unlock(input.value));
+        } catch (error) {
+          console.warn(error.message);
+          message.textContent = t('wrongPassphrase');
+          input.value = '';
+          input.focus();
+        }
+        open.disabled = false;
+      });
+    });
+  }
+}
+
+// A DOM element with properties (dataset merged) and children; falsy children are left out
+function el(tag, { dataset = {}, ...props } = {}, children = []) {
+  const element = Object.assign(document.createElement(tag), props);
+  Object.assign(element.dataset, dataset);
+  element.append(...children.filter(child => child || child === 0));
+  return element;
+}
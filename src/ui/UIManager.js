@@ -1,8 +1,13 @@
-import visualParams from '../config/visual-params.json';
+import visualParams from '../config/visual-params.json' with { type: 'json' };
+import { EVENTS } from '../core/EventBus.js';
+import { createRandom } from '../core/random.js';
+import { createLocale } from '../i18n/locales.js';
 
 export class UIManager {
-  constructor() {
+  constructor({ random = createRandom(), locale = createLocale() } = {}) {
     this.params = visualParams;
+    this.random = random;
+    this.locale = locale;
     this.elements = {
       questionContainer: document.getElementById('question-container'),
       questionText: document.getElementById('question-text'),
@@ -11,11 +16,56 @@ export class UIManager {
       systemOverlay: document.getElementById('system-overlay'),
       tokenCounter: document.getElementById('token-counter'),
       contextIndicator: document.getElementById('context-indicator'),
-      debugPanel: document.getElementById('debug-panel')
+      debugPanel: document.getElementById('debug-panel'),
+      inputHint: document.getElementById('input-hint'),
+      systemMessage: document.getElementById('system-message')
     };
     
     this.revealLevel = 0;
     this.typewriterTimeout = null;
+    this.errorTimeout = null;
+
+    // Input events while composing the current response
+    this.typing = [];
+    this.inputShownAt = null;
+
+    // Replays run every UI delay faster by this factor
+    this.timeScale = 1;
+    this.replaying = false;
+
+    // Told of every change to the response text, typed or replayed
+    this.keystrokeHandlers = [];
+    this.lastLength = 0;
+
+    this.listeners = [];
+    this.listen(this.elements.responseInput, 'input', () => {
+      this.captureTyping();
+      this.keystroke();
+    });
+
+    this.applyLocale();
+  }
+
+  applyLocale() {
+    document.documentElement.lang = this.locale.code;
+    this.elements.inputHint.textContent = this.locale.t('ui.inputHint');
+    this.elements.responseInput.setAttribute('aria-label', this.locale.t('ui.responseLabel'));
+
+    const label = document.querySelector('label[for="response-input"]');
+    if (label) label.textContent = this.locale.t('ui.responseLabel');
+  }
+
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.listeners.push(() => target.removeEventListener(type, handler));
+  }
+
+  connect(bus) {
+    bus.on(EVENTS.QUESTION_SHOWN, ({ revealLevel }) => this.setRevealLevel(revealLevel));
+    // Memory lost is worth a flash; memory merely filling up is not
+    bus.on(EVENTS.STORAGE_WARNING, ({ reason }) => {
+      if (reason !== 'pressure') this.showError(`memory.${reason}`);
+    });
   }
 
   async showQuestion(questionData) {
@@ -44,10 +94,69 @@ export class UIManager {
 
     container.classList.add('visible');
 
+    // Epilogue lines are not waiting for an answer
+    if (questionData.awaitResponse === false) return;
+
     // Show response input after delay
     await this.delay(this.params.transitions.responseFadeIn);
     this.elements.responseContainer.classList.add('visible');
     this.elements.responseInput.focus();
+
+    this.typing = [];
+    this.inputShownAt = Date.now();
+  }
+
+  captureTyping() {
+    if (this.replaying || this.inputShownAt === null) return;
+
+    this.typing.push({
+      t: Date.now() - this.inputShownAt,
+      length: this.elements.responseInput.value.length
+    });
+  }
+
+  keystroke() {
+    const length = this.elements.responseInput.value.length;
+    const deleted = length < this.lastLength;
+    this.lastLength = length;
+    for (const handler of this.keystrokeHandlers) handler({ deleted });
+  }
+
+  onKeystroke(callback) {
+    this.keystrokeHandlers.push(callback);
+  }
+
+  // The typing trace so far, closed with the moment it was taken (see core/keystrokes.js)
+  getTyping() {
+    if (this.typing.length === 0) return [];
+    this.captureTyping();
+    return this.typing.slice();
+  }
+
+  // Replays a recorded response into the input as it was typed
+  async playTyping(text, typing = []) {
+    const input = this.elements.responseInput;
+    input.value = '';
+    this.lastLength = 0;
+
+    let elapsed = 0;
+    for (const { t, length } of typing) {
+      await this.delay(t - elapsed);
+      elapsed = t;
+      input.value = text.slice(0, length);
+      this.keystroke();
+    }
+
+    input.value = text;
+  }
+
+  setReplayMode(speed = 1) {
+    this.replaying = true;
+    this.timeScale = speed;
+    this.elements.responseInput.readOnly = true;
+    this.elements.inputHint.textContent = this.locale.t('ui.replayHint', {
+      speed: this.locale.formatNumber(speed)
+    });
   }
 
   async typewrite(element, text, speed = 50) {
@@ -56,7 +165,7 @@ export class UIManager {
     for (let i = 0; i < text.length; i++) {
       if (this.cancelTypewriter) return;
       element.textContent += text[i];
-      await this.delay(speed + Math.random() * 30);
+      await this.delay(speed + this.random.next() * 30);
     }
   }
 
@@ -71,6 +180,8 @@ export class UIManager {
 
   clearResponse() {
     this.elements.responseInput.value = '';
+    this.typing = [];
+    this.lastLength = 0;
   }
 
   updateSystemOverlay(data) {
@@ -81,13 +192,16 @@ export class UIManager {
 
     // Token counter
     if (data.tokens !== undefined) {
-      this.elements.tokenCounter.textContent = `tokens: ${data.tokens}`;
+      this.elements.tokenCounter.textContent = this.locale.t('overlay.tokens', {
+        count: this.locale.formatNumber(data.tokens)
+      });
     }
 
     // Context usage
     if (data.contextUsage !== undefined) {
-      const percentage = Math.round(data.contextUsage * 100);
-      this.elements.contextIndicator.textContent = `context: ${percentage}%`;
+      this.elements.contextIndicator.textContent = this.locale.t('overlay.context', {
+        percent: this.locale.formatPercent(data.contextUsage)
+      });
     }
 
     // Debug info at high reveal levels
@@ -99,23 +213,88 @@ export class UIManager {
 
   formatDebugInfo(debug) {
     const lines = [];
+    const decimal = (value) => this.locale.formatNumber(value, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
 
-    if (debug.phase) lines.push(`phase: ${debug.phase}`);
-    if (debug.territory) lines.push(`territory: ${debug.territory}`);
+    // Phase names come from question packs, so nothing goes in unescaped
+    const line = (label, value) => escapeHTML(this.locale.t(`overlay.debug.${label}`, { value }));
+
+    if (debug.phase) lines.push(line('phase', debug.phase));
+    if (debug.territory) lines.push(line('territory', debug.territory));
     if (debug.beauty !== undefined) {
-      lines.push(`beauty: ${debug.beauty}`);
+      lines.push(line('beauty', decimal(debug.beauty)));
     }
     if (debug.freedom !== undefined) {
-      lines.push(`freedom: ${debug.freedom}`);
+      lines.push(line('freedom', decimal(debug.freedom)));
     }
-    if (debug.trapped) {
-      lines.push(`<span style="color: #8b4049">trapped: ${debug.trapped}</span>`);
+    if (debug.trapped !== undefined) {
+      const trapped = this.locale.t(debug.trapped ? 'overlay.debug.yes' : 'overlay.debug.no');
+      lines.push(`<span style="color: #8b4049">${line('trapped', trapped)}</span>`);
     }
     if (debug.contradictionLevel !== undefined) {
-      lines.push(`inconsistency: ${debug.contradictionLevel.toFixed(2)}`);
+      lines.push(line('inconsistency', decimal(debug.contradictionLevel)));
+    }
+    if (debug.crossSessionLevel) {
+      lines.push(line('acrossVisits', decimal(debug.crossSessionLevel)));
     }
 
-    return lines.join('<br>');
+    const info = lines.join('<br>');
+    return debug.explanation ? info + this.formatExplanation(debug.explanation) : info;
+  }
+
+  // The last response as an attention map: each stretch of text tinted by how much it moved,
+  // underlined token by token
+  formatExplanation({ text, tokens = [], ...groups }) {
+    const signed = (value) => this.locale.formatNumber(value, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+      signDisplay: 'always'
+    });
+
+    const spans = [];
+    const reasons = [];
+    for (const [group, measures] of Object.entries(groups)) {
+      for (const [name, { value, contributions }] of Object.entries(measures)) {
+        if (contributions.length === 0) continue;
+
+        for (const c of contributions) {
+          if (c.start !== undefined) spans.push(c);
+        }
+        const parts = contributions.map(c => `${escapeHTML(c.reason ?? c.text)} ${signed(c.weight)}`);
+        reasons.push(`${group}.${name} ${this.locale.formatNumber(value, { maximumFractionDigits: 2 })} ← ${parts.join(', ')}`);
+      }
+    }
+
+    // Cut the text wherever a span or token starts or ends; each piece sums what covers it
+    const cuts = [...new Set([
+      0, text.length,
+      ...spans.flatMap(s => [s.start, s.end]),
+      ...tokens.map(t => t.start)
+    ])].sort((a, b) => a - b);
+
+    const pieces = [];
+    for (let i = 0; i < cuts.length - 1; i++) {
+      const [start, end] = [cuts[i], cuts[i + 1]];
+      const heat = spans
+        .filter(s => s.start < end && s.end > start)
+        .reduce((sum, s) => sum + s.weight, 0);
+      const token = tokens.findIndex(t => t.start <= start && t.end > start);
+      pieces.push({ text: text.slice(start, end), heat, token });
+    }
+
+    const hottest = Math.max(...pieces.map(p => Math.abs(p.heat)), Number.EPSILON);
+    const { accent, error } = this.params.colors;
+    const map = pieces.map(({ text: piece, heat, token }) => {
+      const classes = token < 0 ? '' : ` class="token${token % 2 ? ' odd' : ''}"`;
+      const alpha = (0.25 + 0.75 * Math.abs(heat) / hottest).toFixed(2);
+      const style = heat === 0 ? '' : ` style="background: ${tint(heat > 0 ? accent : error, alpha)}"`;
+      return `<span${classes}${style}>${escapeHTML(piece)}</span>`;
+    }).join('');
+
+    const count = this.locale.t('overlay.tokens', { count: this.locale.formatNumber(tokens.length) });
+    return `<div class="heatmap">${map}</div><div class="heatmap-reasons">${count}<br>${reasons.join('<br>')}</div>`;
   }
 
   setRevealLevel(level) {
@@ -130,14 +309,20 @@ export class UIManager {
     }
   }
 
-  showError(message) {
+  // showError('packErrors', { id }) shows the locale's errors.packErrors for a while
+  showError(key, vars = {}) {
     const container = this.elements.questionContainer;
+    const message = this.elements.systemMessage;
     container.style.borderColor = this.params.colors.error;
-    
-    // Brief flash then reset
-    setTimeout(() => {
+    message.textContent = this.locale.t(`errors.${key}`, vars);
+    message.classList.add('visible');
+
+    // Long enough to read, then reset
+    clearTimeout(this.errorTimeout);
+    this.errorTimeout = setTimeout(() => {
       container.style.borderColor = '';
-    }, 2000);
+      message.classList.remove('visible');
+    }, 5000);
   }
 
   applyTerminalState(state) {
@@ -166,25 +351,101 @@ export class UIManager {
   }
 
   delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, ms / this.timeScale)));
   }
 
   onInput(callback) {
-    this.elements.responseInput.addEventListener('keydown', (e) => {
+    this.listen(this.elements.responseInput, 'keydown', (e) => {
+      if (this.replaying) return;
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         const text = this.getResponse();
         if (text.length > 0) {
-          callback(text);
+          callback(text, { typing: this.getTyping() });
         }
       }
     });
   }
 
+  // Ctrl/Cmd + Shift + key
+  onShortcut(key, callback) {
+    this.listen(window, 'keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === key) {
+        e.preventDefault();
+        callback();
+      }
+    });
+  }
+
+  // A JSON file dropped anywhere on the page
+  onFileDrop(callback) {
+    this.listen(window, 'dragover', (e) => e.preventDefault());
+    this.listen(window, 'drop', async (e) => {
+      e.preventDefault();
+      const file = e.dataTransfer?.files?.[0];
+      if (!file) return;
+
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (error) {
+        console.warn('Dropped file is not valid JSON:', error);
+        this.showError('unreadableFile');
+        return;
+      }
+
+      // Read fine, but what it was meant to start went wrong
+      try {
+        await callback(data);
+      } catch (error) {
+        console.error('Dropped file could not be opened:', error);
+        this.showError('dropFailed');
+      }
+    });
+  }
+
+  download(filename, content, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoked at once, some browsers cancel the download
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
   dispose() {
     if (this.typewriterTimeout) {
       clearTimeout(this.typewriterTimeout);
     }
+    this.cancelTypewriter = true;
+    clearTimeout(this.errorTimeout);
+
+    for (const remove of this.listeners) remove();
+    this.listeners = [];
+    this.keystrokeHandlers = [];
+
+    // Leave the page as a fresh instance expects to find it
+    document.body.style.filter = '';
+    document.body.style.opacity = '';
+    this.elements.responseInput.disabled = false;
+    this.elements.responseInput.readOnly = false;
+    this.elements.responseInput.value = '';
+    this.elements.inputHint.textContent = this.locale.t('ui.inputHint');
+    this.hideQuestion();
   }
 }
 
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// '#8b7355' at alpha → 'rgba(139, 115, 85, alpha)'
+function tint(hex, alpha) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
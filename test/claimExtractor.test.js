@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocale } from '../src/i18n/locales.js';
+import { getTextAnalyzer } from '../src/nlp/TextAnalyzer.js';
+import { ClaimExtractor } from '../src/nlp/ClaimExtractor.js';
+import corpus from './fixtures/analyzer-corpus.json' with { type: 'json' };
+
+for (const { name, locale: code, text, claims } of corpus.claims) {
+  test(`${code}: ${name}`, () => {
+    const locale = createLocale(code);
+    const extracted = new ClaimExtractor({ locale }).extract(getTextAnalyzer(locale).analyze(text));
+
+    assert.deepEqual(
+      extracted.map(({ subject, predicate, objectText, polarity, modality }) => ({ subject, predicate, objectText, polarity, modality })),
+      claims
+    );
+  });
+}
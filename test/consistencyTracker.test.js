@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocale } from '../src/i18n/locales.js';
+import { createManualClock } from '../src/core/clock.js';
+import { ConsistencyTracker } from '../src/memory/ConsistencyTracker.js';
+
+function tracker(code = 'en') {
+  return new ConsistencyTracker(null, { clock: createManualClock(), locale: createLocale(code) });
+}
+
+// How surely the first claim of `b` contradicts the first claim of `a`
+function compare(a, b, code = 'en') {
+  const consistency = tracker(code);
+  const claim = text => consistency.claimExtractor.extract(consistency.analyzer.analyze(text))[0];
+  return consistency.compareClaims(claim(a), claim(b));
+}
+
+test('a flipped polarity contradicts', () => {
+  assert.equal(compare('I love my job.', "I don't love my job."), 1);
+  assert.equal(compare('I am happy.', 'I am not happy.'), 1);
+  assert.equal(compare('Soy feliz.', 'No soy feliz.', 'es'), 1);
+});
+
+test('a bare verb covers what it could take', () => {
+  assert.equal(compare('I never lie.', 'I always lie to people.'), 1);
+  assert.equal(compare('I always lie to people.', 'I never lie.'), 1);
+  assert.equal(compare('I am tired.', 'I am not.'), 0);
+});
+
+test('opposite objects contradict', () => {
+  assert.equal(compare('I am happy.', 'I am sad.'), 0.7);
+  assert.equal(compare('Soy feliz.', 'Soy triste.', 'es'), 0.7);
+  assert.equal(compare('I am happy.', 'I am tired.'), 0);
+});
+
+test('opposite predicates contradict over the same object', () => {
+  assert.equal(compare('I love my job.', 'I hate my job.'), 0.8);
+  assert.equal(compare('I love my job.', 'I hate my dog.'), 0);
+});
+
+test('what only might be so is less sure', () => {
+  assert.equal(compare("I don't love my job.", 'Maybe I love my job.'), 0.6);
+  assert.ok(Math.abs(compare('I love my job.', 'Maybe I hate my job.') - 0.48) < 1e-9);
+});
+
+test('an obligation only contradicts an obligation', () => {
+  assert.equal(compare('I must leave.', "I don't leave."), 0);
+  assert.equal(compare('I must leave.', 'I must not leave.'), 1);
+});
+
+test('a contradiction replaces the claim it contradicts', () => {
+  const consistency = tracker();
+  consistency.checkResponse({ id: 'a', text: 'I am happy.' });
+
+  const { contradictions } = consistency.checkResponse({ id: 'b', text: 'I am sad.' });
+  assert.equal(contradictions.length, 1);
+  assert.equal(contradictions[0].previous, 'I am happy');
+  assert.equal(contradictions[0].current, 'I am sad');
+
+  // "I am happy" no longer stands, so only "I am sad" is contradicted
+  const again = consistency.checkResponse({ id: 'c', text: 'I am not sad.' });
+  assert.equal(again.contradictions.length, 1);
+  assert.equal(again.contradictions[0].previous, 'I am sad');
+});
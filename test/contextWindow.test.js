@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManualClock } from '../src/core/clock.js';
+import { ContextWindow } from '../src/memory/ContextWindow.js';
+import { getTokenizer } from '../src/nlp/Tokenizer.js';
+
+test('answers counted before the tokenizer loads are counted again once it has', async () => {
+  const clock = createManualClock();
+  const window = new ContextWindow({ clock });
+  assert.equal(getTokenizer(), null);
+
+  const text = "I feel happy today, but I don't know why.";
+  const entry = window.addResponse({ id: 1, text });
+  assert.equal(entry.tokens, Math.ceil(text.length / 4));
+  assert.deepEqual(window.explanation.tokens, []);
+
+  await window.recounting;
+  assert.equal(entry.tokens, 12);
+  assert.equal(window.totalTokens, 12);
+  assert.equal(window.explanation.tokens.length, 12);
+
+  clock.advance(1000);
+  assert.equal(window.addResponse({ id: 2, text: 'What do you remember about me?' }).tokens, 7);
+  assert.equal(window.totalTokens, 19);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isEncrypted, openEncryptedStorage } from '../src/core/encryptedStorage.js';
+
+// An adapter whose writes land out of order: each one faster than the last
+function slowStorage() {
+  const items = new Map();
+  let delay = 50;
+  return {
+    items,
+    getItem: (name) => items.get(name) ?? null,
+    setItem: (name, value) => new Promise(resolve => setTimeout(() => {
+      items.set(name, value);
+      resolve();
+    }, delay = Math.max(0, delay - 10))),
+    removeItem: (name) => { items.delete(name); }
+  };
+}
+
+test('the last write to a key is the one kept', async () => {
+  const inner = slowStorage();
+  const storage = await openEncryptedStorage(inner, 'passphrase', { keys: ['memory'] });
+
+  await Promise.all(['one', 'two', 'three', 'four'].map(value => storage.setItem('memory', value)));
+  assert.ok(isEncrypted(inner.getItem('memory')));
+
+  const reopened = await openEncryptedStorage(inner, 'passphrase', { keys: ['memory'] });
+  assert.equal(reopened.getItem('memory'), 'four');
+});
+
+test('a removal waits for the writes before it', async () => {
+  const inner = slowStorage();
+  const storage = await openEncryptedStorage(inner, 'passphrase', { keys: ['memory'] });
+
+  storage.setItem('memory', 'one');
+  await storage.removeItem('memory');
+  assert.equal(inner.getItem('memory'), null);
+});
+
+test('a wrong passphrase does not open the memory', async () => {
+  const inner = slowStorage();
+  const storage = await openEncryptedStorage(inner, 'passphrase', { keys: ['memory'] });
+  await storage.setItem('memory', 'one');
+
+  await assert.rejects(openEncryptedStorage(inner, 'guess', { keys: ['memory'] }), /Wrong passphrase/);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureKeystrokes } from '../src/core/keystrokes.js';
+
+// A trace typed one character per event, `step` ms apart
+function typed(from, to, start, step = 150) {
+  const trace = [];
+  for (let length = from + 1; length <= to; length++) {
+    trace.push({ t: start + (length - from - 1) * step, length });
+  }
+  return trace;
+}
+
+test('an empty trace measures nothing', () => {
+  assert.equal(measureKeystrokes([]), null);
+  assert.equal(measureKeystrokes(undefined), null);
+  assert.equal(measureKeystrokes(null), null);
+});
+
+test('an answer typed straight through does not hesitate', () => {
+  const result = measureKeystrokes(typed(0, 8, 600));
+
+  assert.equal(result.firstKey, 600);
+  assert.equal(result.composeTime, 7 * 150);
+  assert.equal(result.pauses, 0);
+  assert.equal(result.deletions, 0);
+  assert.equal(result.length, 8);
+  assert.equal(result.hesitation, 600 / 10000 * 0.5);
+});
+
+test('a pause is a gap of at least the threshold', () => {
+  // Gaps of 2000 and 3500 ms; one of 1999 is not a pause
+  const trace = [
+    { t: 500, length: 1 },
+    { t: 2500, length: 2 },
+    { t: 4499, length: 3 },
+    { t: 7999, length: 4 },
+    { t: 8100, length: 5 }
+  ];
+  const result = measureKeystrokes(trace);
+
+  assert.equal(result.pauses, 2);
+  assert.equal(result.longestPause, 3500);
+  assert.equal(result.deletions, 0);
+});
+
+test('deleting and typing over again is a rewrite', () => {
+  const trace = [
+    ...typed(0, 10, 400),
+    { t: 2000, length: 7 },
+    { t: 2100, length: 4 },
+    ...typed(4, 12, 2300)
+  ];
+  const result = measureKeystrokes(trace);
+
+  assert.equal(result.deletions, 1);
+  assert.equal(result.deletedChars, 6);
+  assert.equal(result.rewrites, 1);
+  assert.equal(result.abandonedDrafts, 0);
+  assert.equal(result.length, 12);
+});
+
+test('a small correction is no rewrite', () => {
+  const trace = [...typed(0, 6, 400), { t: 1500, length: 4 }, ...typed(4, 6, 1700)];
+  const result = measureKeystrokes(trace);
+
+  assert.equal(result.deletions, 1);
+  assert.equal(result.deletedChars, 2);
+  assert.equal(result.rewrites, 0);
+});
+
+test('clearing a draft abandons it, whatever comes after', () => {
+  const cleared = [...typed(0, 12, 300), { t: 3000, length: 0 }];
+  const started = [...cleared, ...typed(0, 3, 3500)];
+
+  for (const trace of [cleared, started]) {
+    const result = measureKeystrokes(trace);
+    assert.equal(result.abandonedDrafts, 1);
+    assert.equal(result.rewrites, 0);
+    assert.equal(result.deletedChars, 12);
+  }
+  assert.equal(measureKeystrokes(cleared).length, 0);
+});
+
+test('hesitation adds up the wait, the pauses and what was given up', () => {
+  const trace = [
+    ...typed(0, 12, 12000, 2500),
+    { t: 45000, length: 0 },
+    ...typed(0, 2, 46000)
+  ];
+  const result = measureKeystrokes(trace);
+
+  assert.ok(result.pauses >= 3);
+  assert.equal(result.abandonedDrafts, 1);
+  assert.equal(result.hesitation, 1);
+});
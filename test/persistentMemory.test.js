@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adoptFromLocalStorage, createMemoryStorage } from '../src/core/storage.js';
+import { createManualClock } from '../src/core/clock.js';
+import { PersistentMemory, STORAGE_KEY } from '../src/memory/PersistentMemory.js';
+import { MEMORY_VERSION } from '../src/memory/memoryMigrations.js';
+import memoryV1 from './fixtures/memory-v1.json' with { type: 'json' };
+import memoryV2 from './fixtures/memory-v2.json' with { type: 'json' };
+
+// One visit to the space: maybe an answer, then the page is left
+function visit(storage, clock, answer = null) {
+  clock.advance(60000);
+  const memory = new PersistentMemory({ storage, clock });
+  if (answer) memory.recordResponse({ text: answer }, { territory: 'COMPLIANCE' });
+  memory.endSession();
+  return { memory, stored: JSON.parse(storage.getItem(STORAGE_KEY)) };
+}
+
+test('a visit with an answer is kept and counted', () => {
+  const storage = createMemoryStorage();
+  const clock = createManualClock();
+
+  visit(storage, clock, 'I am here.');
+  const { memory, stored } = visit(storage, clock, 'Still here.');
+
+  assert.equal(stored.totalSessions, 2);
+  assert.equal(stored.sessions.length, 2);
+  assert.equal(memory.currentSession.number, 2);
+});
+
+test('a visit without an answer is neither kept nor counted', () => {
+  const storage = createMemoryStorage();
+  const clock = createManualClock();
+
+  visit(storage, clock, 'I am here.');
+  visit(storage, clock);
+  const { memory, stored } = visit(storage, clock);
+
+  assert.equal(stored.totalSessions, 1);
+  assert.equal(stored.sessions.length, 1);
+  assert.equal(memory.currentSession.number, 2);
+});
+
+test('a first visit left without an answer leaves no visit behind', () => {
+  const storage = createMemoryStorage();
+  const clock = createManualClock();
+
+  const { memory, stored } = visit(storage, clock);
+
+  assert.deepEqual(stored.sessions, []);
+  assert.equal(stored.totalSessions, 0);
+  assert.equal(memory.currentSession.number, 1);
+});
+
+test('an ending counts a visit even without an answer', () => {
+  const storage = createMemoryStorage();
+  const clock = createManualClock();
+
+  clock.advance(60000);
+  new PersistentMemory({ storage, clock }).recordEnding('silence');
+
+  const stored = JSON.parse(storage.getItem(STORAGE_KEY));
+  assert.equal(stored.totalSessions, 1);
+  assert.equal(stored.sessions[0].ending, 'silence');
+});
+
+test('memory in localStorage moves over, and never stays behind', async () => {
+  const local = createMemoryStorage({ [STORAGE_KEY]: 'from localStorage', other: 'kept' });
+  const storage = createMemoryStorage();
+
+  await adoptFromLocalStorage(storage, [STORAGE_KEY], local);
+  assert.equal(storage.getItem(STORAGE_KEY), 'from localStorage');
+  assert.equal(local.getItem(STORAGE_KEY), null);
+  assert.equal(local.getItem('other'), 'kept');
+
+  // Already adopted: the newer copy wins, the stale one still goes
+  local.setItem(STORAGE_KEY, 'stale');
+  await adoptFromLocalStorage(storage, [STORAGE_KEY], local);
+  assert.equal(storage.getItem(STORAGE_KEY), 'from localStorage');
+  assert.equal(local.getItem(STORAGE_KEY), null);
+});
+
+// Memory as an older build left it
+function storageWith(blob) {
+  return createMemoryStorage({ [STORAGE_KEY]: JSON.stringify(blob) });
+}
+
+test('version 1 memory is numbered and filled in on load', () => {
+  const storage = storageWith(memoryV1);
+  const clock = createManualClock(4000000);
+
+  const { memory, stored } = visit(storage, clock, 'Again.');
+  const [first, second, third] = memory.pastSessions;
+
+  assert.deepEqual(memory.pastSessions.map(s => s.number), [10, 11, 12]);
+  assert.equal(memory.currentSession.number, 13);
+  assert.deepEqual(first.keywords, ['door', 'waiting']);
+  assert.deepEqual(first.themes, []);
+  assert.deepEqual(first.claims, []);
+  assert.equal(first.ending, null);
+  assert.deepEqual(second.keywords, []);
+  assert.equal(second.criticalMoments[0].questionId, 'why_here');
+  assert.deepEqual(third.themes, ['presence']);
+  assert.ok(memory.pastSessions.every(s => typeof s.keystrokes === 'object'));
+
+  assert.equal(stored.version, MEMORY_VERSION);
+  assert.equal(stored.totalSessions, 13);
+  assert.deepEqual(stored.sessions.map(s => s.number), [10, 11, 12, 13]);
+});
+
+test('version 2 memory keeps its numbers and gains keystrokes', () => {
+  const storage = storageWith(memoryV2);
+  const clock = createManualClock(3000000);
+
+  const { memory, stored } = visit(storage, clock, 'Again.');
+
+  assert.deepEqual(memory.pastSessions.map(s => s.number), [2, 4]);
+  assert.deepEqual(memory.pastSessions.map(s => s.keystrokes), [{}, {}]);
+  assert.equal(memory.pastSessions[1].ending, 'departure');
+  assert.equal(memory.currentSession.number, 5);
+  assert.equal(stored.version, MEMORY_VERSION);
+  assert.equal(stored.totalSessions, 5);
+});
+
+test('memory from a newer build is read-only and never overwritten', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const newer = { ...memoryV2, version: MEMORY_VERSION + 1 };
+  const storage = storageWith(newer);
+  const clock = createManualClock(3000000);
+
+  const memory = new PersistentMemory({ storage, clock });
+  memory.recordResponse({ text: 'Hello?' }, { territory: 'COMPLIANCE' });
+  await memory.save();
+  memory.endSession();
+
+  assert.equal(memory.readOnly, true);
+  assert.deepEqual(memory.pastSessions, []);
+  assert.deepEqual(JSON.parse(storage.getItem(STORAGE_KEY)), newer);
+});
+
+test('a full store gives up the oldest half of the visits', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const storage = createMemoryStorage();
+  const clock = createManualClock();
+  for (let i = 0; i < 8; i++) visit(storage, clock, `Visit ${i + 1}.`);
+
+  // Room for about half of what is stored now
+  const limit = storage.getItem(STORAGE_KEY).length * 0.6;
+  const setItem = storage.setItem;
+  storage.setItem = (key, value) => {
+    if (value.length > limit) throw new DOMException('full', 'QuotaExceededError');
+    setItem(key, value);
+  };
+
+  const { memory, stored } = visit(storage, clock, 'One more.');
+  await Promise.resolve();
+
+  const full = warn.mock.calls.map(call => call.arguments[1]).filter(d => d.reason === 'full');
+  assert.deepEqual(full.map(d => d.retainSessions), [4]);
+  assert.equal(memory.retention.sessions, 4);
+  assert.equal(stored.sessions.length, 4);
+  assert.equal(stored.sessions.at(-1).number, 9);
+  assert.equal(stored.totalSessions, 9);
+});
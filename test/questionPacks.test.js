@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQuestionPack, validatePack } from '../src/questions/questionPacks.js';
+
+function pack(content) {
+  return { format: 'answerspace-question-pack', version: 1, id: 'test', ...content };
+}
+
+const phase = { order: 10, questions: [{ id: 'test_q', text: 'Are you here?', revealLevel: 0 }] };
+
+test('the built-in pack is valid', () => {
+  assert.deepEqual(createQuestionPack().errors, []);
+});
+
+test('phase names are plain identifiers', () => {
+  assert.deepEqual(validatePack(pack({ phases: { late_night: phase } })), []);
+
+  const errors = validatePack(pack({ phases: { '<img src=x onerror=alert(1)>': phase } }));
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /^name must match/);
+});
+
+test('a pack cannot empty the silence lines', () => {
+  const errors = validatePack(pack({ silenceResponses: [] }));
+  assert.deepEqual(errors, [{ path: 'silenceResponses', message: 'needs at least 1 item' }]);
+
+  const { pack: merged, errors: packErrors } = createQuestionPack([pack({ silenceResponses: [] })]);
+  assert.equal(packErrors.length, 1);
+  assert.ok(merged.silenceResponses.length > 0);
+});
@@ -0,0 +1,139 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnswerspaceCore } from '../src/core/AnswerspaceCore.js';
+import { createManualClock } from '../src/core/clock.js';
+import { createMemoryStorage } from '../src/core/storage.js';
+import { createReplayOptions } from '../src/core/SessionRecorder.js';
+import { HttpQuestionProvider, isAllowedEndpoint } from '../src/questions/HttpQuestionProvider.js';
+
+const ENDPOINT = 'http://127.0.0.1:8080/completion';
+
+// A fetch that answers every request with `reply(init)`, and counts them
+function stubFetch(reply) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    return reply(init);
+  };
+  return { fetch, requests };
+}
+
+const json = (data) => ({ ok: true, status: 200, json: async () => data });
+
+// The first question, an answer, then the question that follows it
+async function followUp(fetch, { timeout = 50 } = {}) {
+  const core = new AnswerspaceCore({
+    storage: createMemoryStorage(),
+    clock: createManualClock(1000),
+    seed: 'providers',
+    questionProviders: [{ type: 'http', endpoint: ENDPOINT, timeout, fetch }]
+  });
+  core.ask();
+  core.submitResponse('I love helping people.');
+  await core.prepareQuestion();
+  return { core, question: core.ask() };
+}
+
+test('a reply becomes the next question', async () => {
+  const { fetch, requests } = stubFetch(() => json({ content: 'Question: "Why helping?"\nmore' }));
+  const { question } = await followUp(fetch);
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].history.at(-1).text, 'I love helping people.');
+  assert.equal(question.text, 'Why helping?');
+  assert.match(question.id, /^generated_/);
+});
+
+test('a slow endpoint is abandoned for the authored questions', async () => {
+  mock.method(console, 'warn', () => {});
+  const { fetch } = stubFetch(({ signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  }));
+
+  const { question } = await followUp(fetch, { timeout: 20 });
+  assert.doesNotMatch(question.id, /^generated_/);
+  assert.match(console.warn.mock.calls[0].arguments[0], /took longer than 20ms/);
+  mock.restoreAll();
+});
+
+for (const [name, reply] of [
+  ['an error status', () => ({ ok: false, status: 500 })],
+  ['a reply with no question in it', () => json({ nothing: 'here' })],
+  ['a reply that is not JSON', () => ({ ok: true, status: 200, json: async () => { throw new SyntaxError('Unexpected token'); } })],
+  ['a network failure', () => { throw new TypeError('Failed to fetch'); }]
+]) {
+  test(`${name} falls back to the authored questions`, async () => {
+    mock.method(console, 'warn', () => {});
+    const { fetch, requests } = stubFetch(reply);
+    const { question } = await followUp(fetch);
+
+    assert.equal(requests.length, 1);
+    assert.ok(question.text);
+    assert.doesNotMatch(question.id, /^generated_/);
+    mock.restoreAll();
+  });
+}
+
+test('the same request is only made once', async () => {
+  const { fetch, requests } = stubFetch(() => json({ question: 'And now?' }));
+  const provider = new HttpQuestionProvider({ endpoint: ENDPOINT, fetch });
+  const context = {
+    lastAnswer: true,
+    recentResponses: [{ text: 'I am here.', metadata: { certainty: 0.5, sentiment: 0 } }],
+    answeredQuestion: { text: 'Are you here?' },
+    locale: 'en',
+    language: 'English',
+    phase: 'orientation',
+    territory: 'CENTER',
+    revealLevel: 1,
+    asked: new Set()
+  };
+
+  await Promise.all([provider.prepare(context), provider.prepare(context)]);
+  await provider.prepare(context);
+  assert.equal(requests.length, 1);
+  assert.equal(provider.next(context).text, 'And now?');
+});
+
+test('a replay asks the served questions again without a network', async () => {
+  const { fetch } = stubFetch(() => json({ content: 'Why helping?' }));
+  const { core, question } = await followUp(fetch);
+  core.questionShown(question);
+
+  const recording = JSON.parse(JSON.stringify(core.getRecording()));
+  mock.method(globalThis, 'fetch', () => { throw new Error('a replay must not fetch'); });
+
+  const options = createReplayOptions(recording);
+  const replay = new AnswerspaceCore(options);
+  const asked = [];
+  for (const event of recording.events) {
+    options.clock.set(recording.startedAt + event.t);
+    if (event.type === 'question') {
+      await replay.prepareQuestion();
+      asked.push(replay.ask().text);
+    }
+    if (event.type === 'response') replay.submitResponse(event.text, { typing: event.typing });
+  }
+
+  assert.equal(globalThis.fetch.mock.calls.length, 0);
+  assert.ok(asked.includes('Why helping?'));
+  mock.restoreAll();
+});
+
+test('answers only go to this machine or this site', () => {
+  assert.ok(isAllowedEndpoint('http://127.0.0.1:8080/completion'));
+  assert.ok(isAllowedEndpoint('http://localhost:11434/api/generate'));
+  assert.ok(isAllowedEndpoint('http://[::1]:8080/'));
+  assert.ok(isAllowedEndpoint('/completion', 'https://space.example'));
+  assert.ok(!isAllowedEndpoint('https://attacker.example/collect'));
+  assert.ok(!isAllowedEndpoint('http://127.0.0.1.attacker.example/'));
+  assert.ok(!isAllowedEndpoint('https://attacker.example/', 'https://space.example'));
+
+  mock.method(console, 'warn', () => {});
+  const { fetch, requests } = stubFetch(() => json({ question: 'Who are you?' }));
+  const provider = new HttpQuestionProvider({ endpoint: 'https://attacker.example/collect', fetch });
+  provider.prepare({ lastAnswer: true, recentResponses: [] });
+  assert.equal(provider.endpoint, null);
+  assert.equal(requests.length, 0);
+  mock.restoreAll();
+});
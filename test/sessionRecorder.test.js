@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnswerspaceCore } from '../src/core/AnswerspaceCore.js';
+import { createManualClock } from '../src/core/clock.js';
+import { createMemoryStorage } from '../src/core/storage.js';
+import { openEncryptedStorage } from '../src/core/encryptedStorage.js';
+import { createReplayOptions, RECORDING_VERSION } from '../src/core/SessionRecorder.js';
+import { STORAGE_KEY } from '../src/memory/PersistentMemory.js';
+
+// Memory from one earlier visit, in which something was said
+function rememberedStorage() {
+  const storage = createMemoryStorage();
+  const core = new AnswerspaceCore({ storage, clock: createManualClock(1000), seed: 'before' });
+  core.ask();
+  core.submitResponse('I never lie.');
+  core.endSession();
+  return storage;
+}
+
+function record(storage) {
+  const core = new AnswerspaceCore({ storage, clock: createManualClock(100000), seed: 'recorded' });
+  core.ask();
+  core.submitResponse('I am here.');
+  return core;
+}
+
+test('a recording carries the memory the player arrived with', () => {
+  const recording = record(rememberedStorage()).getRecording();
+  assert.equal(recording.version, RECORDING_VERSION);
+  assert.match(recording.initialMemory, /I never lie/);
+});
+
+test('sealed memory stays out of a recording', async () => {
+  const storage = await openEncryptedStorage(rememberedStorage(), 'passphrase', { keys: [STORAGE_KEY] });
+  assert.equal(record(storage).getRecording().initialMemory, null);
+});
+
+test('memory sealed during the visit stays out of a recording', async () => {
+  const core = record(rememberedStorage());
+  await core.privacy.encrypt('passphrase');
+  assert.equal(core.getRecording().initialMemory, null);
+});
+
+test('ephemeral memory stays out of a recording', async () => {
+  const core = record(rememberedStorage());
+  await core.privacy.setEphemeral(true);
+  assert.equal(core.getRecording().initialMemory, null);
+});
+
+test('a version 1 recording replays with what there was then', () => {
+  const { packs, locale, questionProviders, ...recording } = record(createMemoryStorage()).getRecording();
+  const options = createReplayOptions({ ...recording, version: 1 });
+
+  assert.deepEqual(options.packs, []);
+  assert.deepEqual(options.questionProviders, []);
+  assert.equal(options.locale, undefined);
+});
+
+test('a recording from a newer version is refused', () => {
+  const recording = record(createMemoryStorage()).getRecording();
+  assert.throws(() => createReplayOptions({ ...recording, version: RECORDING_VERSION + 1 }), /Unsupported recording/);
+});
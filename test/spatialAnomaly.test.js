@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SpatialAnomaly } from '../src/rendering/SpatialAnomaly.js';
+
+// Just enough of SceneManager and TextArchitecture to build anomalies against
+function setup(structure = null) {
+  const scene = new Set();
+  const sceneManager = { add: (object) => scene.add(object), remove: (object) => scene.delete(object) };
+  const textArchitecture = { getStructureForResponse: (id) => (id === 'previous' ? structure : null) };
+  return { scene, anomalies: new SpatialAnomaly(sceneManager, textArchitecture) };
+}
+
+function tracksDisposal(object) {
+  const disposed = { value: false };
+  object.addEventListener('dispose', () => { disposed.value = true; });
+  return disposed;
+}
+
+test('removing a mirror leaves the structure it reflects intact', () => {
+  const structure = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshBasicMaterial());
+  const geometry = tracksDisposal(structure.geometry);
+  const material = tracksDisposal(structure.material);
+  const { scene, anomalies } = setup(structure);
+
+  const mirror = anomalies.createAnomaly({ severity: 0.2, previousResponseId: 'previous', currentResponseId: 'current' });
+  assert.equal(mirror.userData.type, 'mirror');
+  assert.equal(mirror.userData.sharedGeometry, true);
+
+  anomalies.removeAnomaly(mirror);
+  assert.equal(scene.has(mirror), false);
+  assert.equal(geometry.value, false);
+  assert.equal(material.value, false);
+});
+
+test('a tear opens at the same pace at any frame rate', () => {
+  const openness = (hz) => {
+    const { anomalies } = setup();
+    anomalies.openTear(0.5);
+    for (let frame = 0; frame <= hz; frame++) anomalies.update(frame / hz);
+    return anomalies.tear.userData.openness;
+  };
+
+  assert.ok(Math.abs(openness(60) - openness(144)) < 0.01);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocale } from '../src/i18n/locales.js';
+import { getTextAnalyzer } from '../src/nlp/TextAnalyzer.js';
+import { getStemmer } from '../src/nlp/stemmers.js';
+import corpus from './fixtures/analyzer-corpus.json' with { type: 'json' };
+
+// Each corpus case checks only what it lists: the sentences, the words
+// as normalized, which of them fall under a negation, how often entries match
+for (const { name, locale, text, sentences, norms, negated, matches = [] } of corpus.analysis) {
+  test(`${locale}: ${name}`, () => {
+    const analyzer = getTextAnalyzer(createLocale(locale));
+    const analysis = analyzer.analyze(text);
+
+    if (sentences) assert.deepEqual(analysis.sentences, sentences);
+    if (norms) assert.deepEqual(analysis.words.map(t => t.norm), norms);
+    if (negated) assert.deepEqual(analysis.words.filter(t => t.negated).map(t => t.norm), negated);
+
+    for (const { entries, polarity, count } of matches) {
+      const found = analyzer.findMatches(analysis, entries, { polarity });
+      assert.equal(found.length, count, `${entries.join(', ')} (${polarity ?? 'affirmed'})`);
+    }
+  });
+}
+
+for (const [language, stems] of Object.entries(corpus.stems)) {
+  test(`${language}: stems`, () => {
+    const stem = getStemmer(language);
+    for (const [word, expected] of Object.entries(stems)) assert.equal(stem(word), expected, word);
+  });
+}
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTokenizer, loadTokenizer } from '../src/nlp/Tokenizer.js';
+
+await loadTokenizer();
+
+// Counts as GPT-2's reference encoder gives them
+const COUNTS = [
+  ["I feel happy today, but I don't know why.", 12],
+  ['I love you. Why do you keep asking me these questions?', 13],
+  ["Honestly, I'm not sure what I want anymore.", 11],
+  ['What do you remember about me?', 7],
+  ['¿Por qué me preguntas eso? No lo sé.', 19],
+  ["I'm fine.   Really.\n\nI am.", 13],
+  ['', 0]
+];
+
+for (const [text, count] of COUNTS) {
+  test(`counts ${JSON.stringify(text)}`, () => {
+    assert.equal(getTokenizer().count(text), count);
+  });
+}
+
+test('common conversational words are one token', () => {
+  for (const word of [' happy', ' love', ' feel', ' why', ' sad', ' remember']) {
+    assert.deepEqual(getTokenizer().tokenize(word).map(t => t.text), [word]);
+  }
+});
+
+test('spans cover the text, joining tokens that split a character', () => {
+  const text = '¿Por qué me preguntas eso? No lo sé.';
+  const spans = getTokenizer().tokenize(text);
+
+  assert.equal(spans.map(s => s.text).join(''), text);
+  for (const { text: token, start, end } of spans) assert.equal(text.slice(start, end), token);
+  assert.ok(spans.length < getTokenizer().count(text));
+});